@@ -2,6 +2,10 @@ import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import ScannerView from './components/ScannerView';
 import SummaryView from './components/SummaryView';
+import EnrollmentView from './components/EnrollmentView';
+import ImportView from './components/ImportView';
+import CatalogView from './components/CatalogView';
+import InventoryView from './components/InventoryView';
 
 function App() {
   return (
@@ -10,6 +14,10 @@ function App() {
         <Route path="/" element={<ScannerView />} />
         <Route path="/scanner" element={<ScannerView />} />
         <Route path="/summary" element={<SummaryView />} />
+        <Route path="/enroll" element={<EnrollmentView />} />
+        <Route path="/import" element={<ImportView />} />
+        <Route path="/catalog" element={<CatalogView />} />
+        <Route path="/inventory" element={<InventoryView />} />
       </Routes>
     </div>
   );
@@ -3,8 +3,10 @@
 // ├── public/
 // │   ├── manifest.json         # PWA manifest
 // │   ├── service-worker.js     # Service worker for offline functionality
+// │   ├── data/                 # Bundled catalog and catalog update deltas
 // │   ├── models/               # ML model files
-// │   │   ├── model.json        # TensorFlow.js model config
+// │   │   ├── manifest.json     # Model versions and checksums for updates
+// │   │   ├── model.json        # TensorFlow.js model config (bundled version)
 // │   │   ├── weights.bin       # Model weights
 // │   │   └── labels.json       # Deck classification labels
 // │   └── icons/                # App icons for various devices
@@ -13,6 +15,7 @@
 // │   ├── services/             # Core services (scanner, database)
 // │   ├── hooks/                # Custom React hooks
 // │   ├── utils/                # Utility functions
+// │   ├── workers/              # Web Workers (recognition pipeline)
 // │   ├── App.js                # Main application component
 // │   └── index.js              # Entry point
 // ├── netlify.toml              # Netlify configuration
@@ -22,817 +25,8816 @@
 // src/services/DeckScannerService.js
 // ------------------------------------------------------
 
-import * as tf from '@tensorflow/tfjs';
-import { createWorker } from 'tesseract.js';
 import { v4 as uuidv4 } from 'uuid';
+import JSZip from 'jszip';
 import { DatabaseService } from './DatabaseService';
+import { DeckPresenceTracker } from './DeckPresenceTracker';
+import { ScoringPolicy } from './ScoringPolicy';
+import { RecognitionWorkerClient } from './RecognitionWorkerClient';
+import { ModelRegistry } from './ModelRegistry';
+import { LanguagePackRegistry } from './LanguagePackRegistry';
+import { matchCatalogText, getKnownAliases } from '../utils/textMatching';
+import { toImageData, toDataURL } from '../utils/deckLocalization';
+
+const BACKEND_KEY = 'deck_scanner_backend';
+const RETENTION_KEY = 'deck_scanner_frame_retention';
+
+// Inventory item states and deck conditions, with their display labels
+const INVENTORY_STATUSES = {
+  in_stock: 'In stock',
+  listed: 'Listed',
+  sold: 'Sold'
+};
+
+const INVENTORY_CONDITIONS = {
+  sealed: 'Sealed',
+  opened: 'Opened',
+  used: 'Used',
+  damaged: 'Damaged'
+};
+
+// How long scan photos are kept unless the user changes it
+const DEFAULT_RETENTION = {
+  maxAgeDays: 180,
+  maxFrames: 2000,
+  maxMegabytes: 200,
+  keepFullResolution: false
+};
 
 /**
  * DeckScannerService - Provides browser-compatible card deck recognition
- * Optimized for mobile PWA deployment with offline-first functionality
+ * Optimized for mobile PWA deployment with offline-first functionality.
+ * Recognition runs in a Web Worker; this service captures frames, fuses
+ * worker output with the catalog and manages scanning sessions
  */
 class DeckScannerService {
-  constructor() {
-    this.model = null;
+  /**
+   * @param {Object} [options] Scanner options
+   * @param {number} [options.topK=3] Number of ranked candidates to return
+   * @param {number} [options.ambiguityMargin=0.05] Default max confidence gap
+   *   between the top two candidates before the user is asked to choose
+   * @param {Object} [options.presence] DeckPresenceTracker options
+   * @param {Object} [options.policy] ScoringPolicy options
+   * @param {number} [options.maxHashDistance=12] Largest Hamming distance
+   *   accepted as a catalog hash match
+   * @param {number} [options.embeddingFloor=0.7] Cosine similarity that maps
+   *   to zero confidence for enrolled-deck matches
+   * @param {number} [options.textSimilarity=0.8] Smallest OCR similarity that
+   *   verifies a manufacturer or casino name
+   * @param {Object} [options.viewWeights] Weight of each guided capture view
+   *   (box, back, face) when combining their evidence
+   * @param {Array<string>} [options.backends] TensorFlow.js backends to
+   *   benchmark, in order of preference
+   * @param {number} [options.degradedConfidence=0.6] Scale applied to
+   *   confidences in OCR-only mode, which identifies decks by text alone
+   * @param {Object} [options.recognitionClient] Runs the recognition pipeline;
+   *   defaults to the Web Worker client. The evaluation tool passes an
+   *   in-process client with the same interface
+   */
+  constructor(options = {}) {
     this.isModelLoaded = false;
+    this.mode = null;
+    this.health = {};
     this.processingLock = false;
     this.scanResults = [];
     this.dbService = new DatabaseService();
-    this.ocrWorker = null;
-    this.modelUrl = './models/model.json';
-    this.labelUrl = './models/labels.json';
+    this.recognitionClient = options.recognitionClient || new RecognitionWorkerClient();
+    this.modelRegistry = new ModelRegistry();
+    this.modelVersion = null;
+    this.langPath = './tessdata';
+    this.languagePacks = new LanguagePackRegistry({ langPath: this.langPath });
+    this.ocrLanguages = null;
     this.labels = [];
+    this.topK = options.topK || 3;
+    this.onDeckIdentified = null;
+    this.awaitingSelection = false;
+    this.spreadFrames = [];
+    this.presenceTracker = new DeckPresenceTracker(options.presence);
+    this.scoringPolicy = new ScoringPolicy({ ambiguityMargin: options.ambiguityMargin, ...options.policy });
+    this.reviewQueue = [];
+    this.offeredBarcodes = new Set();
+    this.maxHashDistance = options.maxHashDistance || 12;
+    this.labelIndex = new Map();
+    this.enrolledDecks = [];
+    this.embeddingFloor = options.embeddingFloor || 0.7;
+    this.textSimilarity = options.textSimilarity || 0.8;
+    this.viewWeights = { box: 0.4, back: 0.4, face: 0.2, ...options.viewWeights };
+    this.backends = options.backends || ['webgl', 'wasm', 'cpu'];
+    this.wasmPath = './tfjs-wasm/';
+    this.diagnostics = null;
+    this.degradedConfidence = options.degradedConfidence || 0.6;
+    this.catalogDecks = [];
+    this.catalogVersion = null;
+    this.databaseOpening = null;
   }
-
+  
   /**
-   * Initialize the scanner service
-   * @returns {Promise<boolean>} Initialization status
+   * Initialize the scanner service. Without the model the scanner falls back
+   * to OCR-only mode; getHealth reports which component failed
+   * @returns {Promise<boolean>} True if the scanner can scan, fully or degraded
    */
   async initialize() {
+    this.mode = null;
+    this.health = {
+      database: { status: 'pending', error: null },
+      model: { status: 'pending', error: null },
+      labels: { status: 'pending', error: null },
+      ocr: { status: 'pending', error: null }
+    };
+    
     try {
       await this.dbService.initialize();
+      this.setHealth('database', null);
+    } catch (error) {
+      console.error('Database failed to open:', error);
+      this.setHealth('database', error.message || String(error));
+      return false;
+    }
+    
+    this.applyFrameRetention().catch(error => {
+      console.error('Failed to prune scan photos:', error);
+    });
+    
+    // Bring decks and prices up to date before anything reads them; offline,
+    // the installed catalog is used
+    try {
+      await this.dbService.updateCatalog();
+    } catch (error) {
+      console.error('Catalog update failed:', error);
+    }
+    this.catalogVersion = await this.dbService.getCatalogVersion();
+    
+    // Switch to a newly downloaded model before anything loads it
+    this.modelRegistry.activatePending();
+    
+    try {
+      try {
+        await this.loadModel(this.modelRegistry.getActiveModel());
+      } catch (error) {
+        // A bad model version must not brick the scanner
+        console.error('Active model failed to load, rolling back:', error);
+        this.modelRegistry.markFailed(this.modelRegistry.getState().active);
+        await this.loadModel(this.modelRegistry.getActiveModel());
+      }
       
-      // Load TensorFlow.js model
-      this.model = await tf.loadGraphModel(this.modelUrl);
-      
-      // Load classification labels
-      const labelsResponse = await fetch(this.labelUrl);
-      this.labels = await labelsResponse.json();
-      
-      // Initialize OCR worker for text recognition on cards
-      this.ocrWorker = createWorker({
-        langPath: './tessdata',
-        logger: m => console.debug(m),
-        errorHandler: err => console.error(err)
-      });
+      this.setHealth('model', null);
+      this.setHealth('labels', null);
+      this.isModelLoaded = true;
+    } catch (error) {
+      console.error('Model unavailable, falling back to OCR-only mode:', error);
+      if (error.component === 'labels') {
+        this.setHealth('model', null);
+        this.setHealth('labels', error.message);
+      } else {
+        this.setHealth('model', error.message);
+        this.health.labels = { status: 'skipped', error: null };
+      }
       
-      await this.ocrWorker.load();
-      await this.ocrWorker.loadLanguage('eng');
-      await this.ocrWorker.initialize('eng');
+      try {
+        await this.loadOcrOnly();
+      } catch (ocrError) {
+        console.error('OCR failed to load:', ocrError);
+        this.setHealth('ocr', ocrError.message);
+      }
+    }
+    
+    try {
+      if (this.isModelLoaded) {
+        this.mode = 'full';
+        await this.loadEnrolledDecks();
+      } else if (this.health.ocr.status === 'ok') {
+        this.mode = 'ocr-only';
+        this.catalogDecks = await this.dbService.getAllDecks();
+      } else {
+        return false;
+      }
       
-      this.isModelLoaded = true;
+      await this.recognitionClient.setKnownBarcodes(await this.dbService.getAllBarcodes());
       return true;
     } catch (error) {
       console.error('Scanner initialization failed:', error);
+      this.mode = null;
       return false;
     }
   }
   
   /**
-   * Process image for deck recognition
-   * @param {HTMLImageElement|ImageData} imageData Image to process
-   * @returns {Promise<RecognitionResult>} Recognition result
+   * Load the OCR languages selected in the language pack registry
+   * @returns {Promise<?string>} Languages now in use, e.g. 'eng+chi_tra', or
+   *   null if the scanner isn't running (they load on the next start)
    */
-  async processImage(imageData) {
-    if (!this.isModelLoaded) {
-      throw new Error('Scanner not initialized');
-    }
+  async reloadOcrLanguages() {
+    if (!this.mode) return null;
     
-    try {
-      // Convert input to tensor
-      let tensor;
-      if (imageData instanceof HTMLImageElement) {
-        tensor = tf.browser.fromPixels(imageData);
-      } else {
-        tensor = tf.tensor(imageData.data, [imageData.height, imageData.width, 4]);
-      }
-      
-      // Preprocess image
-      const preprocessed = this.preprocessImage(tensor);
-      
-      // Run inference
-      const predictions = await this.model.predict(preprocessed);
-      const resultsArray = await predictions.data();
-      
-      // Get top prediction
-      const topIdx = this.getTopPredictionIndex(resultsArray);
-      const deckInfo = this.labels[topIdx];
-      const confidence = resultsArray[topIdx];
-      
-      // Extract text from image for additional verification
-      const { text } = await this.ocrWorker.recognize(imageData);
-      const textVerification = this.verifyTextResults(text, deckInfo);
-      
-      // Get pricing information
-      const pricing = await this.dbService.getPricingData(deckInfo.id);
-      
-      // Cleanup tensors
-      tensor.dispose();
-      preprocessed.dispose();
-      predictions.dispose();
-      
-      // Return complete result
-      return {
-        deckId: deckInfo.id,
-        deckName: deckInfo.name,
-        manufacturer: deckInfo.manufacturer,
-        casino: deckInfo.casino,
-        confidence: confidence,
-        textVerification: textVerification,
-        pricing: pricing,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('Image processing error:', error);
-      throw error;
+    const { ocrLanguages, ocrError } = await this.recognitionClient.configureOcr({
+      langPath: new URL(this.langPath, document.baseURI).href,
+      ocr: this.languagePacks.getOcrConfig()
+    });
+    
+    this.setHealth('ocr', ocrError);
+    if (ocrError) {
+      throw new Error(`OCR languages failed to load: ${ocrError}`);
     }
+    
+    this.ocrLanguages = ocrLanguages;
+    return ocrLanguages;
   }
   
   /**
-   * Start batch scanning session
-   * @param {Function} onDeckIdentified Callback for results
-   * @returns {string} Session ID
+   * Get the installed catalog version
+   * @returns {Promise<number>} Catalog version, 0 for the bundled catalog
    */
-  startBatchScanning(onDeckIdentified) {
-    const sessionId = uuidv4();
-    this.scanResults = [];
-    this.batchActive = true;
-    
-    // Return session ID for tracking
-    return sessionId;
+  async getCatalogVersion() {
+    await this.openDatabase();
+    return this.dbService.getCatalogVersion();
   }
   
   /**
-   * Process a frame from video stream
-   * @param {HTMLVideoElement} videoElement Video element
-   * @param {string} sessionId Active session ID
-   * @param {Function} onResult Callback for results
+   * Apply published catalog updates
+   * @returns {Promise<{version: number, applied: number}>} Installed version
+   *   and number of updates applied
    */
-  async processVideoFrame(videoElement, sessionId, onResult) {
-    if (!this.batchActive) return;
-    if (this.processingLock) return;
+  async updateCatalog() {
+    await this.openDatabase();
+    return this.refreshCatalog(await this.dbService.updateCatalog());
+  }
+  
+  /**
+   * Apply a catalog update file, for installs that can't reach the server
+   * @param {File} file Catalog delta JSON file
+   * @returns {Promise<{version: number, applied: number}>} Installed version
+   *   and number of updates applied (1)
+   */
+  async importCatalogDelta(file) {
+    await this.openDatabase();
     
-    this.processingLock = true;
+    let delta;
+    try {
+      delta = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not a catalog update: ${error.message}`);
+    }
     
+    const version = await this.dbService.applyCatalogDelta(delta);
+    return this.refreshCatalog({ version, applied: 1 });
+  }
+  
+  /**
+   * Get the scan photo retention policy
+   * @returns {{maxAgeDays: number, maxFrames: number, maxMegabytes: number, keepFullResolution: boolean}}
+   *   Retention policy
+   */
+  getFrameRetention() {
     try {
-      // Create canvas from video frame
-      const canvas = document.createElement('canvas');
-      canvas.width = videoElement.videoWidth;
-      canvas.height = videoElement.videoHeight;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(videoElement, 0, 0);
-      
-      // Process image
-      const result = await this.processImage(canvas);
-      
-      // Add to results if confidence is high enough
-      if (result.confidence > 0.75) {
-        const scanRecord = {
-          id: uuidv4(),
-          sessionId: sessionId,
-          deckId: result.deckId,
-          timestamp: new Date().toISOString(),
-          confidence: result.confidence,
-          pricingSnapshot: {
-            buyPrice: result.pricing.buyPrice,
-            sellPrice: result.pricing.sellPrice
-          }
-        };
-        
-        // Save scan record to database
-        await this.dbService.saveScanRecord(scanRecord);
-        
-        // Add to current batch results
-        this.scanResults.push(result);
-        
-        // Notify via callback
-        onResult(result);
-      }
+      return { ...DEFAULT_RETENTION, ...JSON.parse(localStorage.getItem(RETENTION_KEY)) };
     } catch (error) {
-      console.error('Video frame processing error:', error);
-    } finally {
-      this.processingLock = false;
+      return { ...DEFAULT_RETENTION };
     }
   }
   
   /**
-   * Stop active batch scanning session
-   * @returns {BatchScanSummary} Batch scanning summary
+   * Update and save the scan photo retention policy
+   * @param {Object} changes New maxAgeDays, maxFrames, maxMegabytes and/or keepFullResolution
+   * @returns {Object} Saved retention policy
    */
-  stopBatchScanning() {
-    this.batchActive = false;
+  setFrameRetention(changes) {
+    const retention = { ...this.getFrameRetention(), ...changes };
     
-    // Calculate summary statistics
-    const summary = {
-      totalDecks: this.scanResults.length,
-      totalBuyValue: this.scanResults.reduce((sum, r) => sum + r.pricing.buyPrice, 0).toFixed(2),
-      totalSellValue: this.scanResults.reduce((sum, r) => sum + r.pricing.sellPrice, 0).toFixed(2),
-      totalProfit: this.scanResults.reduce((sum, r) => 
-        sum + (r.pricing.sellPrice - r.pricing.buyPrice), 0).toFixed(2),
-      averageMargin: this.scanResults.length > 0 ? 
-        (this.scanResults.reduce((sum, r) => 
-          sum + ((r.pricing.sellPrice - r.pricing.buyPrice) / r.pricing.buyPrice * 100), 0) 
-          / this.scanResults.length).toFixed(1) + '%' : '0%',
-      mostProfitable: this.scanResults.length > 0 ?
-        this.scanResults.reduce((max, r) => 
-          (r.pricing.sellPrice - r.pricing.buyPrice) > 
-          (max.pricing.sellPrice - max.pricing.buyPrice) ? r : max, 
-          this.scanResults[0]) : null
-    };
+    for (const name of ['maxAgeDays', 'maxFrames', 'maxMegabytes']) {
+      if (!(retention[name] > 0)) {
+        throw new Error(`${name} must be a positive number`);
+      }
+    }
     
-    return {
-      results: this.scanResults,
-      summary: summary
-    };
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+    return retention;
   }
   
   /**
-   * Export scan results
-   * @param {string} format Export format (csv, json)
-   * @returns {Promise<Blob>} Export data blob
+   * Delete scan photos the retention policy no longer keeps; the scan
+   * records themselves are kept
+   * @returns {Promise<number>} Number of photos deleted
    */
-  async exportResults(format = 'json') {
-    if (format === 'csv') {
-      return this.exportAsCSV();
-    } else {
-      return this.exportAsJSON();
-    }
+  async applyFrameRetention() {
+    const { maxAgeDays, maxFrames, maxMegabytes } = this.getFrameRetention();
+    
+    return this.dbService.pruneScanFrames({
+      before: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString(),
+      maxFrames: maxFrames,
+      maxBytes: maxMegabytes * 1024 * 1024
+    });
   }
   
-  // ---------- Private methods ----------
+  /**
+   * Report the space used by scan photos
+   * @returns {Promise<{count: number, bytes: number}>} Stored photos and their size
+   */
+  async getFrameUsage() {
+    return this.dbService.getScanFrameUsage();
+  }
   
   /**
-   * Preprocess image for the model
-   * @param {tf.Tensor3D} tensor Image tensor
-   * @returns {tf.Tensor4D} Preprocessed tensor
-   * @private
+   * Report the scanning mode and the state of each component
+   * @returns {{mode: ?string, components: Object}} Mode is 'full', 'ocr-only'
+   *   or null when the scanner cannot scan; components maps database, model,
+   *   labels and ocr to {status, error}, status being 'pending', 'ok',
+   *   'failed' or 'skipped'
    */
-  preprocessImage(tensor) {
-    // Resize to model input size
-    const resized = tf.image.resizeBilinear(tensor, [224, 224]);
-    
-    // Normalize pixel values to [-1, 1]
-    const normalized = resized.div(tf.scalar(127.5)).sub(tf.scalar(1));
-    
-    // Expand dimensions to create batch of 1
-    const batched = normalized.expandDims(0);
-    
-    return batched;
+  getHealth() {
+    return { mode: this.mode, components: this.health };
   }
   
   /**
-   * Get index of top prediction
-   * @param {Float32Array} predictions Prediction array
-   * @returns {number} Index of top prediction
-   * @private
+   * Download a newer model version in the background
+   * @returns {Promise<?string>} Version that will be used from the next
+   *   start, or null if there is none
    */
-  getTopPredictionIndex(predictions) {
-    let maxIdx = 0;
-    let maxVal = predictions[0];
-    
-    for (let i = 1; i < predictions.length; i++) {
-      if (predictions[i] > maxVal) {
-        maxVal = predictions[i];
-        maxIdx = i;
+  async checkForModelUpdate() {
+    try {
+      const entry = await this.modelRegistry.checkForUpdate();
+      if (!entry) {
+        return this.modelRegistry.getState().pending;
+      }
+      
+      const { labels } = await this.recognitionClient.installModel(entry);
+      this.modelRegistry.markInstalled(entry, labels);
+      
+      // Free versions that can no longer be rolled back to
+      for (const version of this.modelRegistry.takeObsoleteVersions()) {
+        await this.recognitionClient.removeModel(version);
       }
+      
+      return entry.version;
+    } catch (error) {
+      console.error('Model update failed:', error);
+      return null;
     }
-    
-    return maxIdx;
   }
   
   /**
-   * Verify OCR text results against expected deck info
-   * @param {string} text Recognized text
-   * @param {Object} deckInfo Expected deck info
-   * @returns {Object} Verification results
-   * @private
+   * Describe the running and installed model versions
+   * @returns {{running: ?string, active: string, previous: ?string, pending: ?string}} Status
+   */
+  getModelStatus() {
+    const { active, previous, pending } = this.modelRegistry.getState();
+    return { running: this.modelVersion, active, previous, pending };
+  }
+  
+  /**
+   * Switch back to the previous model version from the next start
+   * @returns {boolean} True if there was a version to roll back to
+   */
+  rollbackModel() {
+    return this.modelRegistry.rollback();
+  }
+  
+  /**
+   * Capture one enrollment photo of a deck
+   * @param {ImageBitmapSource} imageData Camera frame or photo
+   * @returns {Promise<{image: string, embedding: Array<number>, modelVersion: string}>}
+   *   Crop image and its embedding
    */
-  verifyTextResults(text, deckInfo) {
-    const textLower = text.toLowerCase();
-    const manufacturerFound = textLower.includes(deckInfo.manufacturer.toLowerCase());
-    const casinoFound = deckInfo.casino ? 
-      textLower.includes(deckInfo.casino.toLowerCase()) : false;
+  async captureEnrollmentSample(imageData) {
+    if (!this.isModelLoaded) {
+      throw new Error(this.mode === 'ocr-only' ?
+        'Enrollment needs the recognition model, which failed to load' : 'Scanner not initialized');
+    }
     
-    return {
-      manufacturerVerified: manufacturerFound,
-      casinoVerified: casinoFound,
-      verificationScore: manufacturerFound ? (casinoFound ? 1.0 : 0.7) : 0.3
-    };
+    const frame = await createImageBitmap(imageData);
+    const { embedding, image } = await this.recognitionClient.embed(frame);
+    
+    return { image, embedding: Array.from(embedding), modelVersion: this.modelVersion };
   }
   
   /**
-   * Export results as CSV
-   * @returns {Promise<Blob>} CSV blob
-   * @private
+   * Add a deck the classifier has never seen to the catalog
+   * @param {Object} fields Catalog fields (name, manufacturer, casino, buyPrice, sellPrice)
+   * @param {Array<Object>} samples Enrollment photos
+   * @returns {Promise<Object>} Stored deck record
    */
-  async exportAsCSV() {
-    const header = 'Deck Name,Manufacturer,Casino,Buy Price,Sell Price,Profit,Margin %,Confidence,Timestamp\n';
+  async enrollDeck(fields, samples) {
+    // Margins are relative to the buy price
+    if (!(Number(fields.buyPrice) > 0)) {
+      throw new Error('Enter what you paid for the deck');
+    }
     
-    const rows = this.scanResults.map(r => {
-      const profit = (r.pricing.sellPrice - r.pricing.buyPrice).toFixed(2);
-      const marginPct = ((r.pricing.sellPrice - r.pricing.buyPrice) / 
-                        r.pricing.buyPrice * 100).toFixed(1);
-      
-      return `"${r.deckName}","${r.manufacturer}","${r.casino || ''}",` +
-             `${r.pricing.buyPrice.toFixed(2)},${r.pricing.sellPrice.toFixed(2)},` +
-             `${profit},${marginPct}%,${(r.confidence * 100).toFixed(1)}%,` +
-             `${r.timestamp}`;
-    }).join('\n');
+    const deck = {
+      deckId: `enrolled_${uuidv4()}`,
+      name: fields.name,
+      manufacturer: fields.manufacturer,
+      casino: fields.casino || null,
+      enrollment: {
+        source: 'local',
+        enrolledAt: new Date().toISOString(),
+        samples: samples
+      }
+    };
     
-    const csvContent = header + rows;
-    return new Blob([csvContent], { type: 'text/csv' });
+    await this.dbService.saveEnrolledDeck(deck, this.buildEnrollmentPricing(deck.deckId, fields));
+    this.enrolledDecks.push(deck);
+    
+    return deck;
   }
   
   /**
-   * Export results as JSON
+   * Get enrolled decks
+   * @returns {Array<Object>} Enrolled deck records
+   */
+  getEnrolledDecks() {
+    return this.enrolledDecks;
+  }
+  
+  /**
+   * Export enrolled decks, with their photos, for sharing with a team
    * @returns {Promise<Blob>} JSON blob
-   * @private
    */
-  async exportAsJSON() {
+  async exportEnrolledDecks() {
+    const decks = await Promise.all(this.enrolledDecks.map(async deck => ({
+      deck: deck,
+      pricing: await this.dbService.getPricingData(deck.deckId)
+    })));
+    
     const jsonContent = JSON.stringify({
+      format: 'deck-scanner-enrollment',
+      formatVersion: 1,
       exportDate: new Date().toISOString(),
-      results: this.scanResults
+      decks: decks
     }, null, 2);
     
     return new Blob([jsonContent], { type: 'application/json' });
   }
-}
-
-export default DeckScannerService;
-
-// ------------------------------------------------------
-// src/services/DatabaseService.js
-// ------------------------------------------------------
-
-/**
- * DatabaseService - Provides IndexedDB storage for the deck scanner
- * Includes offline-first data persistence and synchronization
- */
-class DatabaseService {
-  constructor() {
-    this.db = null;
-    this.DB_NAME = 'deck_scanner_db';
-    this.DB_VERSION = 1;
-    this.STORES = {
-      DECKS: 'decks',
-      PRICING: 'pricing',
-      SCAN_HISTORY: 'scan_history',
-      SYNC_QUEUE: 'sync_queue'
-    };
-  }
   
   /**
-   * Initialize database
-   * @returns {Promise<boolean>} Initialization status
+   * Import enrolled decks exported by another device
+   * @param {Blob} file Export produced by exportEnrolledDecks
+   * @returns {Promise<number>} Number of decks imported
    */
-  async initialize() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-      
-      request.onerror = event => {
-        console.error('Database error:', event.target.error);
-        reject(event.target.error);
+  async importEnrolledDecks(file) {
+    const data = JSON.parse(await file.text());
+    if (data.format !== 'deck-scanner-enrollment') {
+      throw new Error('Not an enrolled deck export');
+    }
+    
+    for (const { deck, pricing } of data.decks) {
+      const imported = {
+        ...deck,
+        enrollment: { ...deck.enrollment, source: 'imported' }
       };
       
-      request.onsuccess = event => {
-        this.db = event.target.result;
-        resolve(true);
-      };
+      // Embeddings from another model version are recomputed from the photos
+      imported.enrollment.samples = await this.reembedSamples(imported.enrollment.samples);
       
-      request.onupgradeneeded = event => {
-        const db = event.target.result;
-        
-        // Create object stores
-        if (!db.objectStoreNames.contains(this.STORES.DECKS)) {
-          const deckStore = db.createObjectStore(this.STORES.DECKS, { keyPath: 'deckId' });
-          deckStore.createIndex('manufacturer', 'manufacturer', { unique: false });
-          deckStore.createIndex('casino', 'casino', { unique: false });
-          deckStore.createIndex('visualHash', 'visualData.backImageHash', { unique: true });
-        }
-        
-        if (!db.objectStoreNames.contains(this.STORES.PRICING)) {
-          const pricingStore = db.createObjectStore(this.STORES.PRICING, { keyPath: 'id' });
-          pricingStore.createIndex('deckId', 'deckId', { unique: true });
-          pricingStore.createIndex('lastUpdated', 'metadata.lastUpdated', { unique: false });
-        }
-        
-        if (!db.objectStoreNames.contains(this.STORES.SCAN_HISTORY)) {
-          const historyStore = db.createObjectStore(this.STORES.SCAN_HISTORY, { keyPath: 'id' });
-          historyStore.createIndex('sessionId', 'sessionId', { unique: false });
-          historyStore.createIndex('timestamp', 'timestamp', { unique: false });
-          historyStore.createIndex('deckId', 'deckId', { unique: false });
-        }
-        
-        if (!db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
-          db.createObjectStore(this.STORES.SYNC_QUEUE, { 
-            keyPath: 'id', 
-            autoIncrement: true 
-          });
-        }
-        
-        // Load initial data
-        this.loadInitialData(db);
-      };
-    });
+      await this.dbService.saveEnrolledDeck(imported, pricing);
+      this.enrolledDecks = this.enrolledDecks
+        .filter(existing => existing.deckId !== imported.deckId)
+        .concat(imported);
+    }
+    
+    return data.decks.length;
   }
   
   /**
-   * Load initial deck and pricing data
-   * @param {IDBDatabase} db Database instance
-   * @private
+   * Get the TensorFlow.js backend, its benchmark and current memory use
+   * @returns {Promise<?Object>} Diagnostics, or null before initialization
    */
-  async loadInitialData(db) {
-    try {
-      // Fetch initial data from assets
-      const response = await fetch('./data/initial_data.json');
-      const data = await response.json();
-      
-      // Populate decks
-      const deckTx = db.transaction(this.STORES.DECKS, 'readwrite');
-      const deckStore = deckTx.objectStore(this.STORES.DECKS);
+  async getDiagnostics() {
+    if (!this.mode) return this.diagnostics;
+    
+    this.diagnostics = await this.recognitionClient.getDiagnostics();
+    return this.diagnostics;
+  }
+  
+  /**
+   * Forget the benchmarked backend so the next start measures again
+   */
+  resetBackendChoice() {
+    localStorage.removeItem(BACKEND_KEY);
+  }
+  
+  /**
+   * Release the recognition worker
+   */
+  async dispose() {
+    this.isModelLoaded = false;
+    this.mode = null;
+    await this.recognitionClient.terminate();
+  }
+  
+  /**
+   * Process image for deck recognition
+   * @param {ImageBitmapSource} imageData Image, video, canvas, ImageData or Blob to process
+   * @param {Object} [options] Processing options
+   * @param {boolean} [options.dropIfBusy=false] Skip the image and resolve
+   *   null if the worker is still busy with an earlier one
+   * @param {boolean} [options.qualityGate=false] Skip classification of poor
+   *   frames; the result is then {skipped: true, quality, outline}
+   * @returns {Promise<?RecognitionResult>} Recognition result
+   */
+  async processImage(imageData, options = {}) {
+    if (!this.mode) {
+      throw new Error('Scanner not initialized');
+    }
+    
+    // Don't bother capturing a frame that would be dropped
+    if (options.dropIfBusy && this.recognitionClient.isBusy()) {
+      return null;
+    }
+    
+    try {
+      const frame = await createImageBitmap(imageData);
+      const response = await this.recognitionClient.recognize(
+        frame,
+        { mode: 'single', topK: this.topK, qualityGate: !!options.qualityGate },
+        options.dropIfBusy
+      );
+      if (!response) return null;
       
-      for (const deck of data.decks) {
-        deckStore.add(deck);
+      if (response.skipped) {
+        return { skipped: true, ...response.skipped };
       }
       
-      // Populate pricing
-      const pricingTx = db.transaction(this.STORES.PRICING, 'readwrite');
-      const pricingStore = pricingTx.objectStore(this.STORES.PRICING);
-      
-      for (const pricing of data.pricing) {
-        pricingStore.add(pricing);
+      const detection = response.detections[0];
+      if (detection.barcode) {
+        return await this.buildBarcodeResult(detection);
       }
+      
+      return {
+        ...await this.buildResult(detection),
+        unknownBarcodes: response.barcodes
+      };
     } catch (error) {
-      console.error('Failed to load initial data:', error);
+      console.error('Image processing error:', error);
+      throw error;
     }
   }
   
   /**
-   * Get pricing data for a deck
-   * @param {string} deckId Deck ID
-   * @returns {Promise<Object>} Pricing data
+   * Recognize an imported photo and act on it like a scanned deck
+   * @param {File} file Image file from the gallery or a folder
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<{status: string, result: ?RecognitionResult}>} Status is
+   *   'recorded', 'review' (added to the review queue) or 'unrecognized'
    */
-  async getPricingData(deckId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(this.STORES.PRICING, 'readonly');
-      const store = tx.objectStore(this.STORES.PRICING);
-      const index = store.index('deckId');
-      
-      const request = index.get(deckId);
-      
-      request.onsuccess = event => {
-        const result = event.target.result;
-        
-        if (result) {
-          // Check if data is stale (older than 24 hours)
-          const lastUpdated = new Date(result.metadata.lastUpdated);
-          const now = new Date();
-          const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
-          
-          if (hoursSinceUpdate > 24) {
-            // Queue for background sync
-            this.queuePricingSyncTask(deckId);
-          }
-          
-          resolve(result);
-        } else {
-          // Default pricing if not found
-          resolve({
-            id: `default_${deckId}`,
-            deckId: deckId,
-            buyPrice: 0,
-            sellPrice: 0,
-            metadata: {
-              lastUpdated: new Date().toISOString(),
-              confidenceScore: 0,
-              dataSource: 'default'
-            }
-          });
-        }
-      };
-      
-      request.onerror = event => {
-        reject(event.target.error);
-      };
-    });
+  async importImage(file, sessionId) {
+    const result = { ...await this.processImage(file), sourceFile: file.name };
+    
+    if (result.decision === 'accept') {
+      return { status: 'recorded', result: await this.recordResult(result, sessionId) };
+    }
+    
+    // Nobody is watching to confirm, so results the user should pick or
+    // check wait in the review queue
+    const queued = result.decision === 'ask' || result.decision === 'review';
+    if (queued) {
+      this.queueReview(result);
+    }
+    
+    // Large imports would otherwise hold every crop in memory
+    const { crop, ...unrecorded } = result;
+    return { status: queued ? 'review' : 'unrecognized', result: unrecorded };
   }
   
   /**
-   * Save scan record
-   * @param {Object} scanRecord Scan record to save
-   * @returns {Promise<boolean>} Success status
+   * Capture and recognize one view of a guided capture
+   * @param {string} kind View kind: 'box', 'back' or 'face'
+   * @param {HTMLVideoElement|ImageBitmapSource} source Camera or photo
+   * @returns {Promise<{kind: string, image: string, result: ?RecognitionResult}>}
+   *   The view with a JPEG still for the scan record
    */
-  async saveScanRecord(scanRecord) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(this.STORES.SCAN_HISTORY, 'readwrite');
-      const store = tx.objectStore(this.STORES.SCAN_HISTORY);
-      
-      const request = store.add(scanRecord);
-      
-      request.onsuccess = () => {
-        // Queue for sync with cloud
-        this.queueScanHistorySyncTask(scanRecord.id);
-        resolve(true);
+  async captureGuidedView(kind, source) {
+    // Decoded first, as in processImage, so photos (Blobs) work too
+    const still = toImageData(await createImageBitmap(source));
+    
+    return {
+      kind: kind,
+      image: await toDataURL(still, { maxSide: 640 }),
+      result: await this.processImage(still)
+    };
+  }
+  
+  /**
+   * Combine the views of a guided capture into one result. Accepted results
+   * are recorded; the caller confirms 'ask' results with selectCandidate
+   * @param {Array<Object>} views Views from captureGuidedView
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<?RecognitionResult>} Combined result (with recordId if
+   *   recorded), or null if no view recognized anything
+   */
+  async completeGuidedCapture(views, sessionId) {
+    const recognized = views.filter(view => view.result && view.result.candidates);
+    if (recognized.length === 0) return null;
+    
+    const candidates = this.combineViewCandidates(recognized);
+    const best = candidates[0];
+    const ambiguous = this.isAmbiguous(candidates);
+    const barcodeView = recognized.find(view => view.result.barcode);
+    const bestView = barcodeView ||
+      recognized.find(view => view.result.deckId === best.deckId) || recognized[0];
+    
+    // Text-only identifications are always confirmed by the user
+    const degraded = this.mode === 'ocr-only';
+    let decision = this.scoringPolicy.decide(best.confidence, ambiguous);
+    if (degraded && decision === 'accept') {
+      decision = 'ask';
+    }
+    
+    const result = {
+      deckId: best.deckId,
+      deckName: best.deckName,
+      manufacturer: best.manufacturer,
+      casino: best.casino,
+      confidence: best.confidence,
+      textVerification: best.textVerification,
+      barcode: barcodeView ? barcodeView.result.barcode : null,
+      pricing: await this.dbService.getPricingData(best.deckId),
+      candidates: candidates,
+      ambiguous: ambiguous,
+      decision: decision,
+      degraded: degraded,
+      views: views.map(view => ({
+        kind: view.kind,
+        image: view.image,
+        deckId: view.result ? view.result.deckId : null,
+        confidence: view.result ? view.result.confidence : null
+      })),
+      outline: null,
+      crop: bestView.result.crop || null,
+      modelVersion: this.modelVersion,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (result.decision === 'accept') {
+      return this.recordResult(result, sessionId);
+    }
+    if (result.decision === 'review') {
+      this.queueReview(result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Recognize every deck laid out in a table spread photo or frame
+   * @param {ImageBitmapSource} imageData Spread to process
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<Array<RecognitionResult>>} Recorded results, each with
+   *   the boundingBox of its deck and the frameId of the spread photo. Decks
+   *   the user should pick or check go to the review queue
+   */
+  async processTableSpread(imageData, sessionId) {
+    if (!this.mode) {
+      throw new Error('Scanner not initialized');
+    }
+    
+    const frame = await createImageBitmap(imageData);
+    const { detections, frameImage } = await this.recognitionClient.recognize(
+      frame,
+      { mode: 'spread', topK: this.topK }
+    );
+    const frameId = uuidv4();
+    const recorded = [];
+    
+    for (const detection of detections) {
+      const result = {
+        ...await this.buildResult(detection),
+        boundingBox: detection.boundingBox,
+        frameId: frameId
       };
       
-      request.onerror = event => {
-        reject(event.target.error);
-      };
+      // One picker per deck would stall the spread; close calls go to review
+      if (result.decision === 'accept') {
+        recorded.push(await this.recordResult(result, sessionId));
+      } else if (result.decision === 'ask' || result.decision === 'review') {
+        this.queueReview(result);
+      }
+    }
+    
+    // Keep the photo so the summary can point at each deck in it
+    this.spreadFrames.push({
+      id: frameId,
+      image: frameImage,
+      timestamp: new Date().toISOString()
     });
+    
+    return recorded;
   }
   
   /**
-   * Get scan history for a session
-   * @param {string} sessionId Session ID
-   * @returns {Promise<Array>} Scan records
+   * Start batch scanning session
+   * @param {Function} onDeckIdentified Callback for results
+   * @returns {string} Session ID
    */
-  async getSessionHistory(sessionId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(this.STORES.SCAN_HISTORY, 'readonly');
-      const store = tx.objectStore(this.STORES.SCAN_HISTORY);
-      const index = store.index('sessionId');
+  startBatchScanning(onDeckIdentified) {
+    const sessionId = uuidv4();
+    this.scanResults = [];
+    this.batchActive = true;
+    this.awaitingSelection = false;
+    this.spreadFrames = [];
+    this.reviewQueue = [];
+    this.offeredBarcodes = new Set();
+    this.presenceTracker.reset();
+    this.onDeckIdentified = onDeckIdentified;
+    
+    // Return session ID for tracking
+    return sessionId;
+  }
+  
+  /**
+   * Process a frame from video stream
+   * @param {HTMLVideoElement} videoElement Video element
+   * @param {string} sessionId Active session ID
+   * @param {Function} onResult Callback for results
+   * @param {Object} [handlers] Optional frame callbacks
+   * @param {Function} [handlers.onAmbiguous] Called with results the scoring
+   *   policy wants the user to confirm; scanning pauses until selectCandidate
+   * @param {Function} [handlers.onReview] Called with the review queue when a
+   *   rejected-but-close result is added to it
+   * @param {Function} [handlers.onUnknownBarcode] Called once per session for
+   *   each barcode not in the catalog, with the barcode and the candidates
+   *   recognized in the same frame, so it can be linked with linkBarcode
+   * @param {Function} [handlers.onOutline] Called with the detected deck
+   *   outline (or null) for every processed frame
+   * @param {Function} [handlers.onQuality] Called with the frame quality
+   *   assessment for every processed frame, to drive capture hints
+   * @returns {Promise<boolean>} True if the frame was classified; false if it
+   *   was dropped, skipped for poor quality or ignored while a choice is open
+   */
+  async processVideoFrame(videoElement, sessionId, onResult, handlers = {}) {
+    if (!this.batchActive) return false;
+    if (this.processingLock || this.awaitingSelection) return false;
+    
+    this.processingLock = true;
+    
+    try {
+      // Process image; frames arriving while the worker is busy are dropped
+      const result = await this.processImage(videoElement, { dropIfBusy: true, qualityGate: true });
+      if (!result) return false;
       
-      const request = index.getAll(sessionId);
+      if (handlers.onOutline) {
+        handlers.onOutline(result.outline);
+      }
       
-      request.onsuccess = event => {
-        resolve(event.target.result);
-      };
+      if (handlers.onQuality) {
+        handlers.onQuality(result.quality || null);
+      }
       
-      request.onerror = event => {
-        reject(event.target.error);
-      };
-    });
+      if (result.skipped) {
+        this.presenceTracker.observeMiss(result.outline);
+        return false;
+      }
+      
+      if (handlers.onUnknownBarcode) {
+        for (const barcode of result.unknownBarcodes || []) {
+          if (this.offeredBarcodes.has(barcode.value)) continue;
+          
+          this.offeredBarcodes.add(barcode.value);
+          handlers.onUnknownBarcode(barcode, result.candidates);
+        }
+      }
+      
+      if (result.decision === 'accept' || result.decision === 'ask') {
+        // Record each physical deck once per time it is shown
+        if (!this.presenceTracker.observe(result)) return true;
+        
+        // Let the user confirm instead of guessing
+        if (result.decision === 'ask' && handlers.onAmbiguous) {
+          this.awaitingSelection = true;
+          handlers.onAmbiguous(result);
+          return true;
+        }
+        
+        const recorded = await this.recordResult(result, sessionId);
+        
+        // Notify via callback
+        onResult(recorded);
+      } else {
+        this.presenceTracker.observeMiss(result.outline);
+        
+        if (result.decision === 'review' && this.queueReview(result) && handlers.onReview) {
+          handlers.onReview(this.getReviewQueue());
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Video frame processing error:', error);
+      return false;
+    } finally {
+      this.processingLock = false;
+    }
   }
   
   /**
-   * Queue pricing data for background sync
-   * @param {string} deckId Deck ID
-   * @private
+   * Resolve an ambiguous result with the candidate chosen by the user
+   * @param {RecognitionResult} result Ambiguous result from processVideoFrame
+   * @param {number} candidateIndex Index into result.candidates
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<RecognitionResult>} Recorded result for the chosen deck
    */
-  async queuePricingSyncTask(deckId) {
-    const tx = this.db.transaction(this.STORES.SYNC_QUEUE, 'readwrite');
-    const store = tx.objectStore(this.STORES.SYNC_QUEUE);
+  async selectCandidate(result, candidateIndex, sessionId) {
+    this.presenceTracker.confirm(result.candidates[candidateIndex].deckId);
     
-    store.add({
-      type: 'pricing_sync',
-      deckId: deckId,
-      timestamp: new Date().toISOString(),
-      status: 'pending'
-    });
+    try {
+      return await this.recordChoice(result, candidateIndex, sessionId);
+    } finally {
+      this.awaitingSelection = false;
+    }
   }
   
   /**
-   * Queue scan history for background sync
-   * @param {string} recordId Record ID
-   * @private
+   * Discard an ambiguous result and resume scanning
    */
-  async queueScanHistorySyncTask(recordId) {
-    const tx = this.db.transaction(this.STORES.SYNC_QUEUE, 'readwrite');
-    const store = tx.objectStore(this.STORES.SYNC_QUEUE);
-    
-    store.add({
-      type: 'history_sync',
-      recordId: recordId,
-      timestamp: new Date().toISOString(),
-      status: 'pending'
-    });
+  cancelSelection() {
+    this.awaitingSelection = false;
   }
   
   /**
-   * Process background sync queue
-   * Should be called periodically when online
-   * @returns {Promise<number>} Number of processed items
+   * Get results that scored too low to act on but close enough to check, and
+   * close calls from imports and spreads that were not put to the user
+   * @returns {Array<RecognitionResult>} Review items, each with a reviewId
    */
-  async processSyncQueue() {
-    // Implementation for background sync
-    // Would connect to cloud service when online
+  getReviewQueue() {
+    // Crops stay with the queue until an item is recorded
+    return this.reviewQueue.map(({ crop, ...item }) => item);
   }
-}
-
-export { DatabaseService };
-
-// ------------------------------------------------------
-// src/components/ScannerView.jsx
-// ------------------------------------------------------
-
-import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import DeckScannerService from '../services/DeckScannerService';
-
-/**
- * Scanner component - Provides UI for deck scanning
- */
-const ScannerView = () => {
-  const [initializing, setInitializing] = useState(true);
-  const [scanning, setScanning] = useState(false);
-  const [sessionId, setSessionId] = useState(null);
-  const [results, setResults] = useState([]);
-  const [cameraPermission, setCameraPermission] = useState(false);
-  const [cameraError, setCameraError] = useState(null);
-  const [facingMode, setFacingMode] = useState('environment');
   
-  const videoRef = useRef(null);
-  const scannerRef = useRef(null);
-  const streamRef = useRef(null);
-  const animationRef = useRef(null);
+  /**
+   * Record a review item as the candidate the user picked
+   * @param {string} reviewId Review item ID
+   * @param {number} candidateIndex Index into the item's candidates
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<RecognitionResult>} Recorded result
+   */
+  async resolveReview(reviewId, candidateIndex, sessionId) {
+    const item = this.reviewQueue.find(r => r.reviewId === reviewId);
+    if (!item) {
+      throw new Error(`Unknown review item ${reviewId}`);
+    }
+    
+    const recorded = await this.recordChoice(item, candidateIndex, sessionId);
+    this.dismissReview(reviewId);
+    
+    return recorded;
+  }
+  
+  /**
+   * Drop a review item without recording it
+   * @param {string} reviewId Review item ID
+   */
+  dismissReview(reviewId) {
+    this.reviewQueue = this.reviewQueue.filter(r => r.reviewId !== reviewId);
+  }
+  
+  /**
+   * Link a barcode to a catalog deck so it identifies the deck from now on
+   * @param {string} code Normalized barcode value
+   * @param {string} deckId Catalog deck ID
+   * @returns {Promise<void>}
+   */
+  async linkBarcode(code, deckId) {
+    await this.dbService.linkBarcode(deckId, code);
+    await this.recognitionClient.setKnownBarcodes(await this.dbService.getAllBarcodes());
+  }
+  
+  /**
+   * Get the acceptance thresholds
+   * @returns {{accept: number, ask: number, review: number}} Thresholds
+   */
+  getThresholds() {
+    return this.scoringPolicy.getThresholds();
+  }
+  
+  /**
+   * Change and save the acceptance thresholds
+   * @param {Object} thresholds New accept, ask and/or review thresholds
+   * @returns {{accept: number, ask: number, review: number}} Saved thresholds
+   */
+  setThresholds(thresholds) {
+    return this.scoringPolicy.setThresholds(thresholds);
+  }
+  
+  /**
+   * Get the confidence gap within which the user picks between candidates
+   * @returns {number} Ambiguity margin
+   */
+  getAmbiguityMargin() {
+    return this.scoringPolicy.getAmbiguityMargin();
+  }
+  
+  /**
+   * Change and save the ambiguity margin
+   * @param {number} margin New margin in [0, 1]
+   * @returns {number} Saved margin
+   */
+  setAmbiguityMargin(margin) {
+    return this.scoringPolicy.setAmbiguityMargin(margin);
+  }
+  
+  /**
+   * Go back to the configured thresholds and ambiguity margin
+   * @returns {{accept: number, ask: number, review: number}} Configured thresholds
+   */
+  resetThresholds() {
+    return this.scoringPolicy.resetThresholds();
+  }
+  
+  /**
+   * Record the most recent deck again, for genuine duplicates that the
+   * presence tracker would otherwise suppress
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<?RecognitionResult>} Recorded duplicate, or null if
+   *   nothing has been scanned yet
+   */
+  async recordDuplicate(sessionId) {
+    const last = this.scanResults[this.scanResults.length - 1];
+    if (!last) return null;
+    
+    // The copy is a fresh, uncorrected record that shares the original's photo
+    const { recordId, correction, correctedFrom, inventoryItemId, ...recognized } = last;
+    
+    return this.recordResult({
+      ...recognized,
+      duplicateOf: recordId,
+      timestamp: new Date().toISOString()
+    }, sessionId);
+  }
+  
+  /**
+   * Stop active batch scanning session
+   * @returns {BatchScanSummary} Batch scanning summary
+   */
+  stopBatchScanning() {
+    this.batchActive = false;
+    
+    const batch = {
+      results: this.scanResults,
+      summary: this.summarizeResults(this.scanResults),
+      frames: this.spreadFrames,
+      review: this.getReviewQueue()
+    };
+    
+    this.applyFrameRetention().catch(error => {
+      console.error('Failed to prune scan photos:', error);
+    });
+    
+    return batch;
+  }
+  
+  /**
+   * Calculate summary statistics for a batch of results
+   * @param {Array<RecognitionResult>} results Recorded results
+   * @returns {Object} Totals, margin, most profitable deck and the catalog
+   *   versions that priced the results
+   */
+  summarizeResults(results) {
+    // A margin on a zero buy price is undefined; those decks are left out
+    const priced = results.filter(r => r.pricing.buyPrice > 0);
+    
+    return {
+      catalogVersions: [...new Set(results
+        .map(r => r.catalogVersion)
+        .filter(version => version !== undefined && version !== null))].sort((a, b) => a - b),
+      totalDecks: results.length,
+      uniqueDecks: new Set(results.map(r => r.deckId)).size,
+      totalBuyValue: results.reduce((sum, r) => sum + r.pricing.buyPrice, 0).toFixed(2),
+      totalSellValue: results.reduce((sum, r) => sum + r.pricing.sellPrice, 0).toFixed(2),
+      totalProfit: results.reduce((sum, r) => 
+        sum + (r.pricing.sellPrice - r.pricing.buyPrice), 0).toFixed(2),
+      averageMargin: priced.length > 0 ? 
+        (priced.reduce((sum, r) => 
+          sum + ((r.pricing.sellPrice - r.pricing.buyPrice) / r.pricing.buyPrice * 100), 0) 
+          / priced.length).toFixed(1) + '%' : '-',
+      mostProfitable: results.length > 0 ?
+        results.reduce((max, r) => 
+          (r.pricing.sellPrice - r.pricing.buyPrice) > 
+          (max.pricing.sellPrice - max.pricing.buyPrice) ? r : max, 
+          results[0]) : null
+    };
+  }
+  
+  /**
+   * Find catalog decks by name, casino or manufacturer
+   * @param {string} query Search text; every word must match
+   * @param {number} [limit=20] Maximum number of decks
+   * @returns {Promise<Array<{deckId: string, name: string, manufacturer: string, casino: ?string}>>}
+   *   Matching decks
+   */
+  async searchDecks(query, limit = 20) {
+    const matches = await this.searchCatalog({ query, fields: ['name', 'manufacturer', 'casino'] });
+    
+    return matches
+      .slice(0, limit)
+      .map(({ deck }) => ({
+        deckId: deck.deckId,
+        name: deck.name,
+        manufacturer: deck.manufacturer,
+        casino: deck.casino || null
+      }));
+  }
+  
+  /**
+   * Search the catalog with its current prices; works offline
+   * @param {Object} filters Search filters (see DatabaseService.searchCatalog)
+   * @returns {Promise<Array<{deck: Object, pricing: ?Object}>>} Matches by name
+   */
+  async searchCatalog(filters) {
+    await this.openDatabase();
+    return this.dbService.searchCatalog(filters);
+  }
+  
+  /**
+   * List the casinos and manufacturers in the catalog, for filters
+   * @returns {Promise<{casinos: string[], manufacturers: string[]}>} Sorted values
+   */
+  async getCatalogFacets() {
+    await this.openDatabase();
+    return this.dbService.getCatalogFacets();
+  }
+  
+  /**
+   * Replace a misidentified recorded result with the right deck. The scan
+   * record is repriced and its photo is labeled with both the predicted and
+   * the corrected deck, for exportTrainingData
+   * @param {RecognitionResult} result Recorded result (with recordId), not
+   *   yet committed to the inventory
+   * @param {string} deckId Catalog deck it really is, with pricing
+   * @returns {Promise<RecognitionResult>} Corrected result
+   */
+  async correctResult(result, deckId) {
+    // The inventory item would stay on the wrong deck
+    if (result.inventoryItemId) {
+      throw new Error('This scan is already in the inventory and can no longer be corrected');
+    }
+    
+    await this.openDatabase();
+    
+    const deck = await this.dbService.getDeck(deckId);
+    if (!deck) {
+      throw new Error(`Deck ${deckId} is not in the catalog`);
+    }
+    
+    const pricing = await this.dbService.getPricingData(deckId);
+    if (!pricing) {
+      throw new Error(`${deck.name} has no pricing yet`);
+    }
+    const catalogVersion = await this.dbService.getCatalogVersion();
+    
+    // Correcting twice keeps what the model originally said
+    const correction = {
+      predictedDeckId: result.correction ? result.correction.predictedDeckId : result.deckId,
+      correctedDeckId: deckId,
+      modelVersion: result.modelVersion || null,
+      correctedAt: new Date().toISOString()
+    };
+    
+    await this.dbService.updateScanRecord(result.recordId, {
+      deckId: deckId,
+      correction: correction,
+      pricingSnapshot: {
+        buyPrice: pricing.buyPrice,
+        sellPrice: pricing.sellPrice,
+        catalogVersion: catalogVersion
+      }
+    });
+    if (result.scanFrameId) {
+      await this.dbService.updateScanFrame(result.scanFrameId, { correction: correction });
+    }
+    
+    const corrected = {
+      ...result,
+      deckId: deckId,
+      deckName: deck.name,
+      manufacturer: deck.manufacturer,
+      casino: deck.casino,
+      pricing: pricing,
+      catalogVersion: catalogVersion,
+      correction: correction,
+      correctedFrom: result.correction ? result.correctedFrom : result.deckName
+    };
+    
+    const index = this.scanResults.findIndex(r => r.recordId === result.recordId);
+    if (index !== -1) {
+      this.scanResults[index] = corrected;
+    }
+    
+    return corrected;
+  }
+  
+  /**
+   * Bundle the photos of corrected scans for retraining: a ZIP with one
+   * folder per corrected deck ID and a manifest.json listing every image
+   * with its predicted and corrected labels
+   * @returns {Promise<{blob: Blob, count: number}>} ZIP and number of images
+   */
+  async exportTrainingData() {
+    await this.openDatabase();
+    
+    const frames = await this.dbService.getCorrectedScanFrames();
+    const zip = new JSZip();
+    const manifest = {
+      exportDate: new Date().toISOString(),
+      classes: {},
+      images: []
+    };
+    
+    for (const frame of frames) {
+      const image = frame.image || frame.thumbnail;
+      const label = frame.correction.correctedDeckId;
+      const path = `${label.replace(/[^\w.-]/g, '_')}/${frame.id}.jpg`;
+      
+      zip.file(path, image.slice(image.indexOf(',') + 1), { base64: true });
+      manifest.classes[label] = (manifest.classes[label] || 0) + 1;
+      manifest.images.push({
+        path: path,
+        label: label,
+        predicted: frame.correction.predictedDeckId,
+        modelVersion: frame.correction.modelVersion,
+        fullResolution: !!frame.image,
+        capturedAt: frame.timestamp,
+        correctedAt: frame.correction.correctedAt
+      });
+    }
+    
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    
+    return { blob: await zip.generateAsync({ type: 'blob' }), count: frames.length };
+  }
+  
+  /**
+   * Add recorded results to the inventory, one in-stock item per deck with
+   * the number of copies scanned and their average buy price as unit cost
+   * @param {Array<RecognitionResult>} results Recorded results (with recordId)
+   * @param {Object} [fields] Condition and location for every new item
+   * @returns {Promise<Array<Object>>} New inventory items
+   */
+  async commitToInventory(results, fields = {}) {
+    await this.openDatabase();
+    
+    const groups = new Map();
+    for (const result of results.filter(r => r.recordId && !r.inventoryItemId)) {
+      if (!groups.has(result.deckId)) groups.set(result.deckId, []);
+      groups.get(result.deckId).push(result);
+    }
+    
+    const now = new Date().toISOString();
+    const items = [...groups.values()].map(copies => ({
+      id: uuidv4(),
+      deckId: copies[0].deckId,
+      quantity: copies.length,
+      condition: fields.condition || 'sealed',
+      location: { shelf: '', bin: '', box: '', ...fields.location },
+      acquisitionCost: Math.round(copies.reduce((sum, r) => sum + r.pricing.buyPrice, 0) /
+        copies.length * 100) / 100,
+      status: 'in_stock',
+      scanRecordIds: copies.map(r => r.recordId),
+      createdAt: now,
+      updatedAt: now
+    }));
+    
+    if (items.length > 0) {
+      await this.dbService.addInventoryItems(items);
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Get the inventory with deck names, newest first
+   * @returns {Promise<Array<Object>>} Inventory items with deckName and casino
+   */
+  async getInventory() {
+    await this.openDatabase();
+    
+    const [items, decks] = await Promise.all([
+      this.dbService.getInventoryItems(),
+      this.dbService.getAllDecks()
+    ]);
+    const decksById = new Map(decks.map(deck => [deck.deckId, deck]));
+    
+    return items
+      .map(item => {
+        const deck = decksById.get(item.deckId);
+        return {
+          ...item,
+          // Decks dropped from the catalog keep their inventory
+          deckName: deck ? deck.name : item.deckId,
+          casino: deck ? deck.casino : null
+        };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+  
+  /**
+   * Edit an inventory item
+   * @param {string} itemId Inventory item ID
+   * @param {Object} changes New quantity, condition, location,
+   *   acquisitionCost and/or status
+   * @returns {Promise<Object>} Saved changes, with updatedAt
+   */
+  async updateInventoryItem(itemId, changes) {
+    await this.openDatabase();
+    
+    if ('quantity' in changes && !(Number.isInteger(changes.quantity) && changes.quantity > 0)) {
+      throw new Error('Quantity must be a whole number above zero');
+    }
+    if ('acquisitionCost' in changes && !(changes.acquisitionCost >= 0)) {
+      throw new Error('Cost must be zero or more');
+    }
+    if ('status' in changes && !INVENTORY_STATUSES[changes.status]) {
+      throw new Error(`Unknown inventory status ${changes.status}`);
+    }
+    if ('condition' in changes && !INVENTORY_CONDITIONS[changes.condition]) {
+      throw new Error(`Unknown condition ${changes.condition}`);
+    }
+    
+    const saved = { ...changes, updatedAt: new Date().toISOString() };
+    await this.dbService.updateInventoryItem(itemId, saved);
+    
+    return saved;
+  }
+  
+  /**
+   * Remove an inventory item
+   * @param {string} itemId Inventory item ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeInventoryItem(itemId) {
+    await this.openDatabase();
+    return this.dbService.deleteInventoryItem(itemId);
+  }
+  
+  /**
+   * Export scan results
+   * @param {string} format Export format (csv, json)
+   * @returns {Promise<Blob>} Export data blob
+   */
+  async exportResults(format = 'json') {
+    if (format === 'csv') {
+      return this.exportAsCSV();
+    } else {
+      return this.exportAsJSON();
+    }
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Load a model version into the recognition worker
+   * @param {Object} model Model description from ModelRegistry
+   * @private
+   */
+  async loadModel(model) {
+    // Resolved here because the worker's base URL is its own script
+    const resolve = url => url && new URL(url, document.baseURI).href;
+    
+    // Benchmarks are per model version since a new graph can favour another backend
+    const saved = this.loadBackendChoice();
+    const backendChoice = saved && saved.modelVersion === model.version ? saved : null;
+    
+    const { labels, diagnostics, ocrLanguages, ocrError } = await this.recognitionClient.initialize({
+      modelUrl: resolve(model.modelUrl),
+      labelUrl: resolve(model.labelUrl),
+      labels: model.labels,
+      embeddingNode: model.embeddingNode,
+      langPath: resolve(this.langPath),
+      ocr: this.languagePacks.getOcrConfig(),
+      backends: this.backends,
+      backendChoice: backendChoice,
+      wasmPath: resolve(this.wasmPath)
+    });
+    
+    if (!backendChoice || diagnostics.backend !== backendChoice.backend) {
+      localStorage.setItem(BACKEND_KEY, JSON.stringify({
+        modelVersion: model.version,
+        backend: diagnostics.backend,
+        benchmarks: diagnostics.benchmarks
+      }));
+    }
+    
+    this.diagnostics = diagnostics;
+    this.labels = labels;
+    this.labelIndex = new Map(this.labels.map((label, idx) => [label.id, idx]));
+    this.modelVersion = model.version;
+    this.ocrLanguages = ocrLanguages;
+    this.setHealth('ocr', ocrError);
+    this.scoringPolicy.setCalibration(await this.loadCalibration(model));
+  }
+  
+  /**
+   * Get the score calibration fitted for a model version
+   * @param {Object} model Model description from ModelRegistry
+   * @returns {Promise<?{slope: number, intercept: number}>} Platt scaling
+   *   parameters, or null to use raw scores
+   * @private
+   */
+  async loadCalibration(model) {
+    if (model.calibration) return model.calibration;
+    if (!model.calibrationUrl) return null;
+    
+    // Uncalibrated scores still work, so a missing file is not an error
+    try {
+      const response = await fetch(model.calibrationUrl);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Score calibration failed to load:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Start the recognition worker without a model, for OCR-only mode
+   * @private
+   */
+  async loadOcrOnly() {
+    const { diagnostics, ocrLanguages, ocrError } = await this.recognitionClient.initialize({
+      modelUrl: null,
+      langPath: new URL(this.langPath, document.baseURI).href,
+      ocr: this.languagePacks.getOcrConfig()
+    });
+    if (ocrError) {
+      throw new Error(ocrError);
+    }
+    
+    this.diagnostics = diagnostics;
+    this.labels = [];
+    this.labelIndex = new Map();
+    this.modelVersion = null;
+    this.ocrLanguages = ocrLanguages;
+    this.setHealth('ocr', null);
+  }
+  
+  /**
+   * Record the outcome of starting a component
+   * @param {string} component 'database', 'model', 'labels' or 'ocr'
+   * @param {?string} error Failure message, or null if it started
+   * @private
+   */
+  setHealth(component, error) {
+    this.health[component] = { status: error ? 'failed' : 'ok', error: error || null };
+  }
+  
+  /**
+   * Load enrolled decks, re-embedding samples taken with another model
+   * @private
+   */
+  async loadEnrolledDecks() {
+    this.enrolledDecks = await this.dbService.getEnrolledDecks();
+    
+    for (const deck of this.enrolledDecks) {
+      const samples = deck.enrollment.samples;
+      if (samples.every(sample => sample.modelVersion === this.modelVersion)) continue;
+      
+      try {
+        deck.enrollment.samples = await this.reembedSamples(samples);
+        await this.dbService.saveEnrolledDeck(deck);
+      } catch (error) {
+        console.error(`Failed to re-embed enrolled deck ${deck.deckId}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Recompute sample embeddings that don't match the running model
+   * @param {Array<Object>} samples Enrollment samples
+   * @returns {Promise<Array<Object>>} Samples for the running model
+   * @private
+   */
+  async reembedSamples(samples) {
+    return Promise.all(samples.map(async sample => {
+      if (sample.modelVersion === this.modelVersion) return sample;
+      
+      // Stored images are already cropped to the deck
+      const blob = await (await fetch(sample.image)).blob();
+      const { embedding } = await this.recognitionClient.embed(
+        await createImageBitmap(blob),
+        { localize: false }
+      );
+      
+      return { ...sample, embedding: Array.from(embedding), modelVersion: this.modelVersion };
+    }));
+  }
+  
+  /**
+   * Build the pricing record for a newly enrolled deck
+   * @param {string} deckId Deck ID
+   * @param {Object} fields Enrollment form fields
+   * @returns {Object} Pricing record
+   * @private
+   */
+  buildEnrollmentPricing(deckId, fields) {
+    return {
+      id: `pricing_${deckId}`,
+      deckId: deckId,
+      buyPrice: Number(fields.buyPrice) || 0,
+      sellPrice: Number(fields.sellPrice) || 0,
+      metadata: {
+        lastUpdated: new Date().toISOString(),
+        confidenceScore: 0,
+        dataSource: 'enrollment'
+      }
+    };
+  }
+  
+  /**
+   * Read the backend picked by the last benchmark
+   * @returns {?{modelVersion: string, backend: string, benchmarks: Object}} Saved choice
+   * @private
+   */
+  loadBackendChoice() {
+    try {
+      return JSON.parse(localStorage.getItem(BACKEND_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Turn a worker detection into a recognition result
+   * @param {Detection} detection Predictions, hashes, OCR text and outline
+   *   for one deck, as produced by RecognitionPipeline
+   * @returns {Promise<RecognitionResult>} Recognition result
+   * @private
+   */
+  async buildResult(detection) {
+    const { predictions, topIndices, hashes, textRegions, outline } = detection;
+    
+    // Rank the top candidates, fused with catalog perceptual-hash matches
+    const ranked = await this.fuseHashMatches(
+      topIndices.map(idx => ({
+        deckInfo: this.labels[idx],
+        classifierConfidence: predictions[idx],
+        enrollmentConfidence: null
+      })).concat(this.matchEnrolledDecks(detection.embedding)),
+      hashes,
+      predictions
+    );
+    
+    // Without the classifier, catalog names read on the box find the candidates
+    const degraded = this.mode === 'ocr-only';
+    if (degraded) {
+      const found = new Set(ranked.map(c => c.deckInfo.id));
+      ranked.push(...this.searchCatalogText(textRegions).filter(c => !found.has(c.deckInfo.id)));
+    }
+    
+    if (ranked.length === 0) {
+      return {
+        deckId: null,
+        confidence: 0,
+        candidates: [],
+        ambiguous: false,
+        decision: 'reject',
+        degraded: degraded,
+        quality: detection.quality || null,
+        outline: outline,
+        modelVersion: this.modelVersion,
+        ocrLanguages: this.ocrLanguages,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    // Verify the OCR text against every candidate, then score with everything
+    const quality = detection.quality ? detection.quality.score : null;
+    const confidenceScale = degraded ? this.degradedConfidence : 1;
+    const candidates = ranked.map(c => {
+      const textVerification = this.verifyTextResults(textRegions, c.deckInfo);
+      
+      return {
+        deckId: c.deckInfo.id,
+        deckName: c.deckInfo.name,
+        manufacturer: c.deckInfo.manufacturer,
+        casino: c.deckInfo.casino,
+        confidence: confidenceScale * this.scoringPolicy.score({
+          ...this.candidateSignals(c),
+          text: textVerification.verificationScore,
+          quality: quality
+        }),
+        classifierConfidence: c.classifierConfidence,
+        enrollmentConfidence: c.enrollmentConfidence,
+        hashDistance: c.hashDistance,
+        textVerification: textVerification
+      };
+    }).sort((a, b) => b.confidence - a.confidence);
+    const best = candidates[0];
+    const ambiguous = this.isAmbiguous(candidates);
+    
+    // Get pricing information
+    const pricing = await this.dbService.getPricingData(best.deckId);
+    
+    // Text-only identifications are always confirmed by the user
+    let decision = this.scoringPolicy.decide(best.confidence, ambiguous);
+    if (degraded && decision === 'accept') {
+      decision = 'ask';
+    }
+    
+    // Return complete result
+    return {
+      deckId: best.deckId,
+      deckName: best.deckName,
+      manufacturer: best.manufacturer,
+      casino: best.casino,
+      confidence: best.confidence,
+      textVerification: best.textVerification,
+      pricing: pricing,
+      candidates: candidates,
+      ambiguous: ambiguous,
+      decision: decision,
+      degraded: degraded,
+      quality: detection.quality || null,
+      outline: outline,
+      crop: detection.crop || null,
+      modelVersion: this.modelVersion,
+      ocrLanguages: this.ocrLanguages,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Merge the candidates of several views of one deck. Each view adds its
+   * weighted confidence to the decks it ranked, so a deck all views agree on
+   * beats one that a single view likes; a barcode match settles it outright
+   * @param {Array<Object>} views Views with recognition results
+   * @returns {Array<Object>} Combined candidates, best first
+   * @private
+   */
+  combineViewCandidates(views) {
+    const barcodeView = views.find(view => view.result.barcode);
+    if (barcodeView) return barcodeView.result.candidates;
+    
+    const totalWeight = views.reduce((sum, view) => sum + (this.viewWeights[view.kind] || 0), 0);
+    const byId = new Map();
+    
+    for (const view of views) {
+      const weight = this.viewWeights[view.kind] || 0;
+      
+      for (const candidate of view.result.candidates) {
+        const entry = byId.get(candidate.deckId);
+        const evidence = weight * candidate.confidence;
+        
+        if (!entry) {
+          byId.set(candidate.deckId, { candidate, evidence });
+        } else {
+          entry.evidence += evidence;
+          // Keep the details (text verification) from the strongest view
+          if (candidate.confidence > entry.candidate.confidence) {
+            entry.candidate = candidate;
+          }
+        }
+      }
+    }
+    
+    return Array.from(byId.values())
+      .map(({ candidate, evidence }) => ({
+        ...candidate,
+        confidence: totalWeight > 0 ? evidence / totalWeight : 0
+      }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, this.topK);
+  }
+  
+  /**
+   * Turn a catalog barcode match into a recognition result
+   * @param {Object} detection Worker detection with a barcode
+   * @returns {Promise<?RecognitionResult>} Result, or null if the code has
+   *   left the catalog since the worker was told about it
+   * @private
+   */
+  async buildBarcodeResult({ barcode, crop }) {
+    const deck = await this.dbService.findDeckByBarcode(barcode.value);
+    if (!deck) {
+      await this.recognitionClient.setKnownBarcodes(await this.dbService.getAllBarcodes());
+      return null;
+    }
+    
+    const candidate = {
+      deckId: deck.deckId,
+      deckName: deck.name,
+      manufacturer: deck.manufacturer,
+      casino: deck.casino,
+      confidence: 1,
+      classifierConfidence: null,
+      enrollmentConfidence: null,
+      hashDistance: null,
+      textVerification: null
+    };
+    
+    return {
+      ...candidate,
+      pricing: await this.dbService.getPricingData(deck.deckId),
+      candidates: [candidate],
+      ambiguous: false,
+      decision: 'accept',
+      barcode: barcode,
+      quality: null,
+      outline: null,
+      crop: crop || null,
+      modelVersion: this.modelVersion,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Find enrolled decks whose sample embeddings are close to a crop's
+   * @param {?Float32Array} embedding L2-normalized crop embedding
+   * @returns {Array<Object>} Candidates ({deckInfo, enrollmentConfidence})
+   * @private
+   */
+  matchEnrolledDecks(embedding) {
+    if (!embedding) return [];
+    
+    const matches = [];
+    for (const deck of this.enrolledDecks) {
+      // Embeddings are unit length, so the dot product is cosine similarity
+      let similarity = 0;
+      for (const sample of deck.enrollment.samples) {
+        if (sample.modelVersion !== this.modelVersion) continue;
+        
+        let dot = 0;
+        for (let i = 0; i < embedding.length; i++) {
+          dot += embedding[i] * sample.embedding[i];
+        }
+        similarity = Math.max(similarity, dot);
+      }
+      
+      const confidence = (similarity - this.embeddingFloor) / (1 - this.embeddingFloor);
+      if (confidence > 0) {
+        matches.push({
+          deckInfo: {
+            id: deck.deckId,
+            name: deck.name,
+            manufacturer: deck.manufacturer,
+            casino: deck.casino
+          },
+          classifierConfidence: null,
+          enrollmentConfidence: Math.min(1, confidence)
+        });
+      }
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Merge visual candidates with nearest catalog hashes and re-rank
+   * @param {Array<Object>} ranked Classifier and enrollment candidates
+   * @param {string[]} hashes Perceptual hashes of the crop
+   * @param {Float32Array} predictions Full classifier output
+   * @returns {Promise<Array<Object>>} Top candidates with fused confidence
+   * @private
+   */
+  async fuseHashMatches(ranked, hashes, predictions) {
+    const matches = await this.dbService.findNearestByVisualHash(hashes, this.maxHashDistance);
+    const byId = new Map(ranked.map(c => [c.deckInfo.id, { ...c, hashDistance: null }]));
+    
+    for (const { deck, distance } of matches) {
+      const existing = byId.get(deck.deckId);
+      if (existing) {
+        existing.hashDistance = distance;
+        continue;
+      }
+      
+      // Catalog decks the model was never trained on are found by hash alone
+      const labelIdx = this.labelIndex.get(deck.deckId);
+      byId.set(deck.deckId, {
+        deckInfo: labelIdx !== undefined ? this.labels[labelIdx] : {
+          id: deck.deckId,
+          name: deck.name,
+          manufacturer: deck.manufacturer,
+          casino: deck.casino,
+          aliases: deck.aliases
+        },
+        classifierConfidence: labelIdx !== undefined ? predictions[labelIdx] : null,
+        enrollmentConfidence: null,
+        hashDistance: distance
+      });
+    }
+    
+    // Text isn't verified yet, so this pre-ranking uses the image signals
+    return Array.from(byId.values())
+      .map(c => ({ ...c, confidence: this.scoringPolicy.score(this.candidateSignals(c)) }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, this.topK);
+  }
+  
+  /**
+   * Find catalog decks whose casino (or, for decks without one, manufacturer)
+   * was read on the box; the OCR-only stand-in for the classifier
+   * @param {Array<{text: string}>} textRegions Text read from each region of the box
+   * @returns {Array<Object>} Candidates, best text match first
+   * @private
+   */
+  searchCatalogText(textRegions) {
+    if (textRegions.length === 0) return [];
+    
+    return this.catalogDecks
+      .map(deck => ({ deck, verification: this.verifyTextResults(textRegions, deck) }))
+      .filter(({ deck, verification }) =>
+        deck.casino ? verification.casinoVerified : verification.manufacturerVerified)
+      .sort((a, b) => b.verification.verificationScore - a.verification.verificationScore ||
+        (b.verification.matches.casino ? b.verification.matches.casino.similarity : 0) -
+        (a.verification.matches.casino ? a.verification.matches.casino.similarity : 0))
+      .slice(0, this.topK)
+      .map(({ deck }) => ({
+        deckInfo: {
+          id: deck.deckId,
+          name: deck.name,
+          manufacturer: deck.manufacturer,
+          casino: deck.casino,
+          aliases: deck.aliases
+        },
+        classifierConfidence: null,
+        enrollmentConfidence: null,
+        hashDistance: null
+      }));
+  }
+  
+  /**
+   * Turn a candidate's image matches into scoring policy signals; enrolled
+   * decks the model doesn't know use their enrollment match as the classifier
+   * @param {Object} candidate Candidate with classifierConfidence,
+   *   enrollmentConfidence and hashDistance, each null when unavailable
+   * @returns {{classifier: ?number, hash: ?number}} Signals in [0, 1]
+   * @private
+   */
+  candidateSignals({ classifierConfidence, enrollmentConfidence, hashDistance }) {
+    return {
+      classifier: classifierConfidence !== null ? classifierConfidence : enrollmentConfidence,
+      // Unrelated 64-bit hashes differ in 32 bits on average
+      hash: hashDistance === null ? null : Math.max(0, 1 - hashDistance / 32)
+    };
+  }
+  
+  /**
+   * Add a low-scoring or unconfirmed result to the review queue, keeping one
+   * item per presentation of a deck
+   * @param {RecognitionResult} result Result to review
+   * @returns {boolean} True if the queue changed
+   * @private
+   */
+  queueReview(result) {
+    const last = this.reviewQueue[this.reviewQueue.length - 1];
+    const samePresentation = last && last.deckId === result.deckId &&
+      !result.frameId && !last.frameId && !result.sourceFile && !last.sourceFile &&
+      Date.parse(result.timestamp) - Date.parse(last.timestamp) < this.presenceTracker.absenceTimeout;
+    
+    if (samePresentation) {
+      // Keep the best-scoring sighting, but stay alive while the deck is shown
+      if (result.confidence <= last.confidence) {
+        last.timestamp = result.timestamp;
+        return false;
+      }
+      this.reviewQueue[this.reviewQueue.length - 1] = { ...result, reviewId: last.reviewId };
+      return true;
+    }
+    
+    this.reviewQueue.push({ ...result, reviewId: uuidv4() });
+    return true;
+  }
+  
+  /**
+   * Record a result as one of its candidates, as picked by the user
+   * @param {RecognitionResult} result Result with candidates
+   * @param {number} candidateIndex Index into result.candidates
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<RecognitionResult>} Recorded result
+   * @private
+   */
+  async recordChoice(result, candidateIndex, sessionId) {
+    const chosen = result.candidates[candidateIndex];
+    const pricing = chosen.deckId === result.deckId ?
+      result.pricing : await this.dbService.getPricingData(chosen.deckId);
+    
+    return this.recordResult({
+      ...result,
+      deckId: chosen.deckId,
+      deckName: chosen.deckName,
+      manufacturer: chosen.manufacturer,
+      casino: chosen.casino,
+      confidence: chosen.confidence,
+      textVerification: chosen.textVerification,
+      pricing: pricing,
+      ambiguous: false,
+      selectedByUser: true
+    }, sessionId);
+  }
+  
+  /**
+   * Check whether the top two candidates are too close to call
+   * @param {Array<Object>} candidates Ranked candidates
+   * @returns {boolean} True if the user should choose
+   * @private
+   */
+  isAmbiguous(candidates) {
+    if (candidates.length < 2) return false;
+    
+    return candidates[0].confidence - candidates[1].confidence <= this.scoringPolicy.getAmbiguityMargin();
+  }
+  
+  /**
+   * Save a result to scan history and add it to the current batch
+   * @param {RecognitionResult} result Result to record
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<RecognitionResult>} Recorded result
+   * @private
+   */
+  async recordResult(result, sessionId) {
+    const { crop, ...recordable } = result;
+    // Duplicates reuse the photo of the scan they repeat
+    const scanFrame = crop ? await this.saveScanFrame(crop, sessionId) :
+      result.scanFrameId ? { id: result.scanFrameId, thumbnail: result.thumbnail || null } : null;
+    // Unpriced decks are recorded at zero, like getPricingData's default
+    const pricing = result.pricing || { buyPrice: 0, sellPrice: 0 };
+    
+    const scanRecord = {
+      id: uuidv4(),
+      sessionId: sessionId,
+      deckId: result.deckId,
+      timestamp: new Date().toISOString(),
+      confidence: result.confidence,
+      decision: result.decision,
+      barcode: result.barcode ? result.barcode.value : null,
+      modelVersion: result.modelVersion,
+      ocrLanguages: result.ocrLanguages || null,
+      selectedByUser: !!result.selectedByUser,
+      duplicateOf: result.duplicateOf || null,
+      sourceFile: result.sourceFile || null,
+      scanFrameId: scanFrame ? scanFrame.id : null,
+      views: result.views || null,
+      quality: result.quality ? {
+        sharpness: result.quality.sharpness,
+        brightness: result.quality.brightness,
+        glare: result.quality.glare,
+        coverage: result.quality.coverage,
+        score: result.quality.score
+      } : null,
+      rejectedAlternatives: (result.candidates || [])
+        .filter(c => c.deckId !== result.deckId)
+        .map(c => ({
+          deckId: c.deckId,
+          confidence: c.confidence,
+          verificationScore: c.textVerification ? c.textVerification.verificationScore : null
+        })),
+      pricingSnapshot: {
+        buyPrice: pricing.buyPrice,
+        sellPrice: pricing.sellPrice,
+        catalogVersion: this.catalogVersion
+      }
+    };
+    
+    // Save scan record to database
+    await this.dbService.saveScanRecord(scanRecord);
+    
+    const recorded = {
+      ...recordable,
+      pricing: pricing,
+      recordId: scanRecord.id,
+      scanFrameId: scanRecord.scanFrameId,
+      catalogVersion: this.catalogVersion,
+      thumbnail: scanFrame ? scanFrame.thumbnail : null
+    };
+    
+    // Add to current batch results
+    this.scanResults.push(recorded);
+    
+    if (this.onDeckIdentified) {
+      this.onDeckIdentified(recorded);
+    }
+    
+    return recorded;
+  }
+  
+  /**
+   * Reload what the scanner keeps from the catalog after an update
+   * @param {{version: number, applied: number}} update Update outcome
+   * @returns {Promise<{version: number, applied: number}>} The same outcome
+   * @private
+   */
+  async refreshCatalog(update) {
+    this.catalogVersion = update.version;
+    
+    if (update.applied > 0 && this.mode) {
+      if (this.mode === 'ocr-only') {
+        this.catalogDecks = await this.dbService.getAllDecks();
+      }
+      await this.recognitionClient.setKnownBarcodes(await this.dbService.getAllBarcodes());
+    }
+    
+    return update;
+  }
+  
+  /**
+   * Open the database for screens that use the service without initializing
+   * the scanner (summary, corrections)
+   * @private
+   */
+  async openDatabase() {
+    // Calls made together (a screen loading several lists) share one
+    // connection instead of each opening, and leaking, their own
+    if (!this.dbService.db && !this.databaseOpening) {
+      this.databaseOpening = this.dbService.initialize().finally(() => {
+        this.databaseOpening = null;
+      });
+    }
+    
+    if (this.databaseOpening) {
+      await this.databaseOpening;
+    }
+  }
+  
+  /**
+   * Store what the camera saw for a recorded scan, so a disputed valuation
+   * can be checked later. A failure here doesn't stop the scan being recorded
+   * @param {ImageData} crop Deck crop
+   * @param {string} sessionId Active session ID
+   * @returns {Promise<?{id: string, thumbnail: string}>} Stored photo, or null
+   * @private
+   */
+  async saveScanFrame(crop, sessionId) {
+    try {
+      const frame = {
+        id: uuidv4(),
+        sessionId: sessionId,
+        timestamp: new Date().toISOString(),
+        thumbnail: await toDataURL(crop, { maxSide: 240, quality: 0.7 }),
+        image: this.getFrameRetention().keepFullResolution ?
+          await toDataURL(crop, { maxSide: Math.max(crop.width, crop.height), quality: 0.9 }) : null
+      };
+      frame.size = frame.thumbnail.length + (frame.image ? frame.image.length : 0);
+      
+      await this.dbService.saveScanFrame(frame);
+      return frame;
+    } catch (error) {
+      console.error('Failed to save scan photo:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Verify OCR text results against expected deck info
+   * @param {Array<{text: string}>} textRegions Text read from each region of the box
+   * @param {Object} deckInfo Expected deck info, with optional per-field aliases
+   * @returns {Object} Verification results, with the closest match per field
+   * @private
+   */
+  verifyTextResults(textRegions, deckInfo) {
+    const lines = textRegions.map(region => region.text);
+    const aliases = deckInfo.aliases || {};
+    
+    const manufacturer = matchCatalogText(lines, deckInfo.manufacturer, {
+      aliases: (aliases.manufacturer || []).concat(getKnownAliases(deckInfo.manufacturer))
+    });
+    const casino = deckInfo.casino ?
+      matchCatalogText(lines, deckInfo.casino, { aliases: aliases.casino }) : null;
+    
+    const manufacturerFound = manufacturer.similarity >= this.textSimilarity;
+    const casinoFound = casino ? casino.similarity >= this.textSimilarity : false;
+    
+    return {
+      manufacturerVerified: manufacturerFound,
+      casinoVerified: casinoFound,
+      verificationScore: manufacturerFound ? (casinoFound ? 1.0 : 0.7) : 0.3,
+      matches: {
+        manufacturer: manufacturer,
+        casino: casino
+      }
+    };
+  }
+  
+  /**
+   * Export results as CSV
+   * @returns {Promise<Blob>} CSV blob
+   * @private
+   */
+  async exportAsCSV() {
+    const header = 'Deck Name,Manufacturer,Casino,Buy Price,Sell Price,Profit,Margin %,Confidence,Timestamp,Source File\n';
+    
+    const rows = this.scanResults.map(r => {
+      const profit = (r.pricing.sellPrice - r.pricing.buyPrice).toFixed(2);
+      // Left blank without a buy price to divide by
+      const marginPct = r.pricing.buyPrice > 0 ?
+        ((r.pricing.sellPrice - r.pricing.buyPrice) / r.pricing.buyPrice * 100).toFixed(1) + '%' : '';
+      
+      return `"${r.deckName}","${r.manufacturer}","${r.casino || ''}",` +
+             `${r.pricing.buyPrice.toFixed(2)},${r.pricing.sellPrice.toFixed(2)},` +
+             `${profit},${marginPct},${(r.confidence * 100).toFixed(1)}%,` +
+             `${r.timestamp},"${r.sourceFile || ''}"`;
+    }).join('\n');
+    
+    const csvContent = header + rows;
+    return new Blob([csvContent], { type: 'text/csv' });
+  }
+  
+  /**
+   * Export results as JSON
+   * @returns {Promise<Blob>} JSON blob
+   * @private
+   */
+  async exportAsJSON() {
+    const jsonContent = JSON.stringify({
+      exportDate: new Date().toISOString(),
+      results: this.scanResults
+    }, null, 2);
+    
+    return new Blob([jsonContent], { type: 'application/json' });
+  }
+}
+
+export default DeckScannerService;
+export { INVENTORY_STATUSES, INVENTORY_CONDITIONS };
+
+// ------------------------------------------------------
+// src/services/DatabaseService.js
+// ------------------------------------------------------
+
+import { hammingDistance } from '../utils/perceptualHash';
+import { normalizeText } from '../utils/textMatching';
+import {
+  LATEST_VERSION,
+  getPendingMigrations,
+  prepareMigrations,
+  runMigrations
+} from './databaseMigrations';
+
+const CATALOG_DELTA_FORMAT = 'deck-scanner-catalog-delta';
+
+/**
+ * Catalog updates are published as deltas listed in
+ * public/data/catalog/manifest.json:
+ *
+ *   {
+ *     "latest": 2,
+ *     "deltas": [
+ *       { "fromVersion": 0, "toVersion": 1, "url": "delta-1.json" },
+ *       { "fromVersion": 1, "toVersion": 2, "url": "delta-2.json" }
+ *     ]
+ *   }
+ *
+ * Each delta moves the catalog from one version to the next:
+ *
+ *   {
+ *     "format": "deck-scanner-catalog-delta",
+ *     "fromVersion": 1,
+ *     "toVersion": 2,
+ *     "decks": { "added": [<deck>], "changed": [{ "deckId", <fields> }], "removed": ["<deckId>"] },
+ *     "pricing": { "added": [<pricing>], "changed": [{ "deckId", <fields> }], "removed": ["<deckId>"] }
+ *   }
+ *
+ * Changed records are merged into the stored ones. Pricing is keyed by
+ * deckId. Decks may list referenceImages, URLs of catalog photos shown in
+ * the catalog browser. data/initial_data.json is version 0 and never changes
+ */
+
+/**
+ * DatabaseService - Provides IndexedDB storage for the deck scanner
+ * Includes offline-first data persistence and synchronization
+ */
+class DatabaseService {
+  constructor() {
+    this.db = null;
+    this.DB_NAME = 'deck_scanner_db';
+    this.DB_VERSION = LATEST_VERSION;
+    this.STORES = {
+      DECKS: 'decks',
+      PRICING: 'pricing',
+      SCAN_HISTORY: 'scan_history',
+      SYNC_QUEUE: 'sync_queue',
+      SCAN_FRAMES: 'scan_frames',
+      META: 'meta',
+      INVENTORY: 'inventory'
+    };
+    this.catalogManifestUrl = './data/catalog/manifest.json';
+  }
+  
+  /**
+   * Initialize database, migrating it to the latest schema version
+   * @returns {Promise<boolean>} Initialization status
+   */
+  async initialize() {
+    let prepared = null;
+    
+    for (;;) {
+      const { db, pending } = await this.openDatabase(prepared);
+      if (db) {
+        this.db = db;
+        return true;
+      }
+      
+      // The upgrade was abandoned because it needs data that has to be
+      // fetched first; fetch it and open again
+      prepared = await prepareMigrations(pending);
+    }
+  }
+  
+  /**
+   * Open the database, running pending migrations in the upgrade
+   * @param {?Object<number, *>} prepared Data for migrations that need it,
+   *   or null if it hasn't been fetched yet
+   * @returns {Promise<{db: ?IDBDatabase, pending: ?Array}>} Database, or
+   *   the pending steps if the upgrade needs data from prepareMigrations first
+   * @private
+   */
+  openDatabase(prepared) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      let unprepared = null;
+      let failure = null;
+      let blocked = false;
+      
+      request.onerror = event => {
+        if (unprepared) {
+          event.preventDefault();
+          resolve({ db: null, pending: unprepared });
+          return;
+        }
+        
+        const error = failure || event.target.error;
+        console.error('Database error:', error);
+        reject(error);
+      };
+      
+      request.onsuccess = event => {
+        const db = event.target.result;
+        
+        // The caller has been told to close other tabs and will try again
+        if (blocked) {
+          db.close();
+          return;
+        }
+        
+        // Let another tab or a newer version of the app upgrade the schema;
+        // the next call through DeckScannerService reopens the database
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) this.db = null;
+        };
+        
+        resolve({ db: db, pending: null });
+      };
+      
+      // An older connection in another tab or the service worker didn't close
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('Deck Scanner is open in another tab; close it to finish updating the database'));
+      };
+      
+      request.onupgradeneeded = event => {
+        const upgradeTx = event.target.transaction;
+        const pending = getPendingMigrations(event.oldVersion, this.DB_VERSION);
+        
+        // Close the connection as well, so it can't block the next attempt
+        if (!prepared && pending.some(step => step.prepare)) {
+          unprepared = pending;
+          upgradeTx.abort();
+          event.target.result.close();
+          return;
+        }
+        
+        try {
+          runMigrations(event.target.result, upgradeTx, event.oldVersion, prepared || {}, this.DB_VERSION);
+        } catch (error) {
+          failure = error;
+          upgradeTx.abort();
+          event.target.result.close();
+        }
+      };
+    });
+  }
+  
+  /**
+   * Get the installed catalog version
+   * @returns {Promise<number>} Catalog version, 0 for the bundled catalog
+   */
+  async getCatalogVersion() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.META, 'readonly');
+      const store = tx.objectStore(this.STORES.META);
+      
+      const request = store.get('catalog');
+      
+      request.onsuccess = event => {
+        const record = event.target.result;
+        resolve(record ? record.version : 0);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Apply every published catalog delta newer than the installed version
+   * @returns {Promise<{version: number, applied: number}>} Installed version
+   *   and number of deltas applied
+   */
+  async updateCatalog() {
+    const response = await fetch(this.catalogManifestUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Catalog manifest request failed: ${response.status}`);
+    }
+    
+    const manifest = await response.json();
+    const deltas = new Map(manifest.deltas.map(entry => [entry.fromVersion, entry]));
+    let version = await this.getCatalogVersion();
+    let applied = 0;
+    
+    while (deltas.has(version)) {
+      const entry = deltas.get(version);
+      
+      // Delta URLs are relative to the manifest itself
+      const deltaResponse = await fetch(new URL(entry.url, response.url).href);
+      if (!deltaResponse.ok) {
+        throw new Error(`Catalog delta ${entry.toVersion} request failed: ${deltaResponse.status}`);
+      }
+      
+      version = await this.applyCatalogDelta(await deltaResponse.json());
+      applied++;
+    }
+    
+    return { version, applied };
+  }
+  
+  /**
+   * Apply one catalog delta in a single transaction: either every deck and
+   * price change lands together with the new catalog version, or none does
+   * @param {Object} delta Catalog delta (see the format above)
+   * @returns {Promise<number>} Catalog version now installed
+   */
+  async applyCatalogDelta(delta) {
+    validateCatalogDelta(delta);
+    
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        [this.STORES.DECKS, this.STORES.PRICING, this.STORES.META], 'readwrite');
+      const deckStore = tx.objectStore(this.STORES.DECKS);
+      const pricingStore = tx.objectStore(this.STORES.PRICING);
+      const metaStore = tx.objectStore(this.STORES.META);
+      let failure = null;
+      
+      const fail = error => {
+        if (!failure) {
+          failure = error;
+          tx.abort();
+        }
+      };
+      
+      // Changes to records that aren't there mean the catalog is out of step
+      const merge = (request, description, apply) => {
+        request.onsuccess = event => {
+          const record = event.target.result;
+          if (!record) {
+            fail(new Error(`Catalog delta ${delta.toVersion} changes unknown ${description}`));
+            return;
+          }
+          apply(record);
+        };
+      };
+      
+      const stamp = metadata => ({ ...metadata, catalogVersion: delta.toVersion });
+      
+      const request = metaStore.get('catalog');
+      
+      request.onsuccess = event => {
+        const installed = event.target.result ? event.target.result.version : 0;
+        if (installed !== delta.fromVersion) {
+          fail(new Error(`Catalog delta ${delta.fromVersion} to ${delta.toVersion} ` +
+            `doesn't apply to installed version ${installed}`));
+          return;
+        }
+        
+        const decks = delta.decks || {};
+        const pricing = delta.pricing || {};
+        
+        for (const deck of decks.added || []) {
+          deckStore.put(deck);
+        }
+        for (const change of decks.changed || []) {
+          merge(deckStore.get(change.deckId), `deck ${change.deckId}`, deck => {
+            deckStore.put({ ...deck, ...change });
+          });
+        }
+        for (const deckId of decks.removed || []) {
+          deckStore.delete(deckId);
+        }
+        
+        for (const price of pricing.added || []) {
+          pricingStore.put({ ...price, metadata: stamp(price.metadata) });
+        }
+        for (const change of pricing.changed || []) {
+          merge(pricingStore.index('deckId').get(change.deckId), `pricing for ${change.deckId}`, price => {
+            pricingStore.put({
+              ...price,
+              ...change,
+              id: price.id,
+              metadata: stamp({ ...price.metadata, ...change.metadata })
+            });
+          });
+        }
+        for (const deckId of pricing.removed || []) {
+          pricingStore.index('deckId').getKey(deckId).onsuccess = keyEvent => {
+            if (keyEvent.target.result !== undefined) {
+              pricingStore.delete(keyEvent.target.result);
+            }
+          };
+        }
+        
+        metaStore.put({ key: 'catalog', version: delta.toVersion, appliedAt: new Date().toISOString() });
+      };
+      
+      tx.oncomplete = () => resolve(delta.toVersion);
+      tx.onabort = () => reject(failure || tx.error);
+    });
+  }
+  
+  /**
+   * Get pricing data for a deck
+   * @param {string} deckId Deck ID
+   * @returns {Promise<Object>} Pricing data
+   */
+  async getPricingData(deckId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.PRICING, 'readonly');
+      const store = tx.objectStore(this.STORES.PRICING);
+      const index = store.index('deckId');
+      
+      const request = index.get(deckId);
+      
+      request.onsuccess = event => {
+        const result = event.target.result;
+        
+        if (result) {
+          // Check if data is stale (older than 24 hours)
+          const lastUpdated = new Date(result.metadata.lastUpdated);
+          const now = new Date();
+          const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
+          
+          if (hoursSinceUpdate > 24) {
+            // Queue for background sync
+            this.queuePricingSyncTask(deckId);
+          }
+          
+          resolve(result);
+        } else {
+          // Default pricing if not found
+          resolve({
+            id: `default_${deckId}`,
+            deckId: deckId,
+            buyPrice: 0,
+            sellPrice: 0,
+            metadata: {
+              lastUpdated: new Date().toISOString(),
+              confidenceScore: 0,
+              dataSource: 'default'
+            }
+          });
+        }
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Get a catalog deck
+   * @param {string} deckId Deck ID
+   * @returns {Promise<?Object>} Deck record, or null if not in the catalog
+   */
+  async getDeck(deckId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const store = tx.objectStore(this.STORES.DECKS);
+      
+      const request = store.get(deckId);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result || null);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Get every catalog deck
+   * @returns {Promise<Array>} Deck records
+   */
+  async getAllDecks() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const store = tx.objectStore(this.STORES.DECKS);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = event => {
+        resolve(event.target.result);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Search catalog decks, joined with their current prices
+   * @param {Object} [filters] Search filters
+   * @param {string} [filters.query] Search text; every word must match
+   * @param {string[]} [filters.fields=['name']] Deck fields the text searches
+   * @param {?string} [filters.casino] Only decks made for this casino
+   * @param {?string} [filters.manufacturer] Only decks by this manufacturer
+   * @param {?number} [filters.minPrice] Lowest sell price
+   * @param {?number} [filters.maxPrice] Highest sell price
+   * @returns {Promise<Array<{deck: Object, pricing: ?Object}>>} Matches by name;
+   *   decks without a price are left out when a price bound is set
+   */
+  async searchCatalog({
+    query = '',
+    fields = ['name'],
+    casino = null,
+    manufacturer = null,
+    minPrice = null,
+    maxPrice = null
+  } = {}) {
+    const terms = normalizeText(query).split(' ').filter(Boolean);
+    
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.STORES.DECKS, this.STORES.PRICING], 'readonly');
+      const deckStore = tx.objectStore(this.STORES.DECKS);
+      
+      // Narrow by index first; the other filters run over what's left
+      const deckRequest = casino ? deckStore.index('casino').getAll(casino) :
+        manufacturer ? deckStore.index('manufacturer').getAll(manufacturer) :
+        deckStore.getAll();
+      const pricingRequest = tx.objectStore(this.STORES.PRICING).getAll();
+      
+      tx.oncomplete = () => {
+        const prices = new Map(pricingRequest.result.map(pricing => [pricing.deckId, pricing]));
+        
+        const matches = deckRequest.result
+          .filter(deck => !manufacturer || deck.manufacturer === manufacturer)
+          .filter(deck => {
+            const text = normalizeText(fields.map(field => deck[field]).filter(Boolean).join(' '));
+            return terms.every(term => text.includes(term));
+          })
+          .map(deck => ({ deck, pricing: prices.get(deck.deckId) || null }))
+          .filter(({ pricing }) => {
+            if (minPrice === null && maxPrice === null) return true;
+            return pricing &&
+              (minPrice === null || pricing.sellPrice >= minPrice) &&
+              (maxPrice === null || pricing.sellPrice <= maxPrice);
+          });
+        
+        resolve(matches.sort((a, b) => a.deck.name.localeCompare(b.deck.name)));
+      };
+      
+      tx.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * List the distinct casinos and manufacturers in the catalog
+   * @returns {Promise<{casinos: string[], manufacturers: string[]}>} Sorted values
+   */
+  async getCatalogFacets() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const store = tx.objectStore(this.STORES.DECKS);
+      const facets = { casinos: [], manufacturers: [] };
+      
+      // Walk each index's unique keys instead of loading every deck
+      const collect = (indexName, values) => {
+        store.index(indexName).openKeyCursor(null, 'nextunique').onsuccess = event => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          
+          values.push(cursor.key);
+          cursor.continue();
+        };
+      };
+      
+      collect('casino', facets.casinos);
+      collect('manufacturer', facets.manufacturers);
+      
+      tx.oncomplete = () => resolve(facets);
+      tx.onerror = event => reject(event.target.error);
+    });
+  }
+  
+  /**
+   * Find catalog decks whose back image hash is near any of the given hashes
+   * @param {string[]} hashes Perceptual hashes of the captured deck back
+   * @param {number} maxDistance Largest Hamming distance to accept
+   * @param {number} [limit=5] Maximum number of matches
+   * @returns {Promise<Array<{deck: Object, distance: number}>>} Matches, nearest first
+   */
+  async findNearestByVisualHash(hashes, maxDistance, limit = 5) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const store = tx.objectStore(this.STORES.DECKS);
+      const index = store.index('visualHash');
+      const matches = [];
+      
+      // Hamming distance has no key ordering, so walk the whole index
+      const request = index.openCursor();
+      
+      request.onsuccess = event => {
+        const cursor = event.target.result;
+        
+        if (cursor) {
+          const distance = Math.min(...hashes.map(hash => hammingDistance(hash, cursor.key)));
+          if (distance <= maxDistance) {
+            matches.push({ deck: cursor.value, distance });
+          }
+          cursor.continue();
+        } else {
+          matches.sort((a, b) => a.distance - b.distance);
+          resolve(matches.slice(0, limit));
+        }
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Find the catalog deck carrying a barcode
+   * @param {string} code Normalized barcode value
+   * @returns {Promise<?Object>} Deck record or null
+   */
+  async findDeckByBarcode(code) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const index = tx.objectStore(this.STORES.DECKS).index('barcodes');
+      
+      const request = index.get(code);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result || null);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Get every barcode in the catalog
+   * @returns {Promise<Array<string>>} Barcode values
+   */
+  async getAllBarcodes() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const index = tx.objectStore(this.STORES.DECKS).index('barcodes');
+      const codes = [];
+      
+      const request = index.openKeyCursor();
+      
+      request.onsuccess = event => {
+        const cursor = event.target.result;
+        if (cursor) {
+          codes.push(cursor.key);
+          cursor.continue();
+        } else {
+          resolve(codes);
+        }
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Add a barcode to a catalog deck
+   * @param {string} deckId Deck ID
+   * @param {string} code Normalized barcode value
+   * @returns {Promise<Object>} Updated deck record
+   */
+  async linkBarcode(deckId, code) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readwrite');
+      const store = tx.objectStore(this.STORES.DECKS);
+      let deck = null;
+      
+      const request = store.get(deckId);
+      
+      request.onsuccess = event => {
+        deck = event.target.result;
+        if (!deck) {
+          tx.abort();
+          return;
+        }
+        
+        deck.barcodes = Array.from(new Set((deck.barcodes || []).concat(code)));
+        store.put(deck);
+      };
+      
+      tx.oncomplete = () => {
+        resolve(deck);
+      };
+      
+      tx.onabort = event => {
+        reject(event.target.error || new Error(`Deck ${deckId} is not in the catalog`));
+      };
+    });
+  }
+  
+  /**
+   * Save an enrolled deck, and optionally its pricing, in one transaction
+   * @param {Object} deck Deck record with an enrollment section
+   * @param {Object} [pricing] Pricing record
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveEnrolledDeck(deck, pricing) {
+    return new Promise((resolve, reject) => {
+      const stores = pricing ? [this.STORES.DECKS, this.STORES.PRICING] : [this.STORES.DECKS];
+      const tx = this.db.transaction(stores, 'readwrite');
+      
+      tx.objectStore(this.STORES.DECKS).put(deck);
+      if (pricing) {
+        tx.objectStore(this.STORES.PRICING).put(pricing);
+      }
+      
+      tx.oncomplete = () => {
+        resolve(true);
+      };
+      
+      tx.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Get decks enrolled on-device or imported from another device
+   * @returns {Promise<Array>} Enrolled deck records
+   */
+  async getEnrolledDecks() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.DECKS, 'readonly');
+      const store = tx.objectStore(this.STORES.DECKS);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = event => {
+        resolve(event.target.result.filter(deck => deck.enrollment));
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Save scan record
+   * @param {Object} scanRecord Scan record to save
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveScanRecord(scanRecord) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_HISTORY, 'readwrite');
+      const store = tx.objectStore(this.STORES.SCAN_HISTORY);
+      
+      const request = store.add(scanRecord);
+      
+      request.onsuccess = () => {
+        // Queue for sync with cloud
+        this.queueScanHistorySyncTask(scanRecord.id);
+        resolve(true);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Save the photo of a recorded scan
+   * @param {Object} frame Photo record with thumbnail and optional full image
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveScanFrame(frame) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_FRAMES, 'readwrite');
+      const store = tx.objectStore(this.STORES.SCAN_FRAMES);
+      
+      const request = store.put(frame);
+      
+      request.onsuccess = () => {
+        resolve(true);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Get the photo of a recorded scan
+   * @param {string} frameId Photo ID (scanFrameId of the scan record)
+   * @returns {Promise<?Object>} Photo record, or null if it was pruned
+   */
+  async getScanFrame(frameId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_FRAMES, 'readonly');
+      const store = tx.objectStore(this.STORES.SCAN_FRAMES);
+      
+      const request = store.get(frameId);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result || null);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Update fields of a scan record
+   * @param {string} recordId Scan record ID
+   * @param {Object} changes Fields to set
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateScanRecord(recordId, changes) {
+    return this.updateRecord(this.STORES.SCAN_HISTORY, recordId, changes);
+  }
+  
+  /**
+   * Update fields of a scan photo
+   * @param {string} frameId Photo ID
+   * @param {Object} changes Fields to set
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateScanFrame(frameId, changes) {
+    return this.updateRecord(this.STORES.SCAN_FRAMES, frameId, changes);
+  }
+  
+  /**
+   * Get the photos of scans the user corrected
+   * @returns {Promise<Array>} Photo records with a correction
+   */
+  async getCorrectedScanFrames() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_FRAMES, 'readonly');
+      const store = tx.objectStore(this.STORES.SCAN_FRAMES);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = event => {
+        resolve(event.target.result.filter(frame => frame.correction));
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Add inventory items and link the scan records they came from, in one
+   * transaction so a session can't be committed twice
+   * @param {Array<Object>} items Inventory items, each with scanRecordIds
+   * @returns {Promise<boolean>} Success status
+   */
+  async addInventoryItems(items) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.STORES.INVENTORY, this.STORES.SCAN_HISTORY], 'readwrite');
+      const inventoryStore = tx.objectStore(this.STORES.INVENTORY);
+      const historyStore = tx.objectStore(this.STORES.SCAN_HISTORY);
+      let failure = null;
+      
+      const fail = error => {
+        if (!failure) {
+          failure = error;
+          tx.abort();
+        }
+      };
+      
+      // Link a scan record to its item, unless an earlier commit already did
+      const linkRecord = itemId => event => {
+        const record = event.target.result;
+        if (!record) return;
+        
+        if (record.inventoryItemId) {
+          fail(new Error('These scans are already in the inventory'));
+          return;
+        }
+        
+        historyStore.put({ ...record, inventoryItemId: itemId });
+      };
+      
+      for (const item of items) {
+        inventoryStore.add(item);
+        
+        for (const recordId of item.scanRecordIds) {
+          historyStore.get(recordId).onsuccess = linkRecord(item.id);
+        }
+      }
+      
+      tx.oncomplete = () => resolve(true);
+      tx.onabort = () => reject(failure || tx.error);
+    });
+  }
+  
+  /**
+   * Get every inventory item
+   * @returns {Promise<Array>} Inventory items
+   */
+  async getInventoryItems() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.INVENTORY, 'readonly');
+      const store = tx.objectStore(this.STORES.INVENTORY);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = event => {
+        resolve(event.target.result);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Update fields of an inventory item
+   * @param {string} itemId Inventory item ID
+   * @param {Object} changes Fields to set
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateInventoryItem(itemId, changes) {
+    return this.updateRecord(this.STORES.INVENTORY, itemId, changes);
+  }
+  
+  /**
+   * Delete an inventory item; its scan records are kept
+   * @param {string} itemId Inventory item ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteInventoryItem(itemId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.INVENTORY, 'readwrite');
+      const store = tx.objectStore(this.STORES.INVENTORY);
+      
+      store.delete(itemId);
+      
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = event => reject(event.target.error);
+    });
+  }
+  
+  /**
+   * Count stored scan photos and their size
+   * @returns {Promise<{count: number, bytes: number}>} Usage
+   */
+  async getScanFrameUsage() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_FRAMES, 'readonly');
+      const store = tx.objectStore(this.STORES.SCAN_FRAMES);
+      const usage = { count: 0, bytes: 0 };
+      
+      const request = store.openCursor();
+      
+      request.onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(usage);
+          return;
+        }
+        
+        usage.count++;
+        usage.bytes += cursor.value.size || 0;
+        cursor.continue();
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Delete scan photos older than a date, or beyond a count or size budget,
+   * oldest first. Photos of corrected scans are training data and are kept
+   * @param {Object} limits Retention limits
+   * @param {string} limits.before Delete photos taken before this ISO timestamp
+   * @param {number} limits.maxFrames Photos to keep at most
+   * @param {number} limits.maxBytes Bytes to use at most
+   * @returns {Promise<number>} Number of photos deleted
+   */
+  async pruneScanFrames({ before, maxFrames, maxBytes }) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_FRAMES, 'readwrite');
+      const index = tx.objectStore(this.STORES.SCAN_FRAMES).index('timestamp');
+      let kept = 0;
+      let bytes = 0;
+      let deleted = 0;
+      
+      // Newest first, so whatever is over budget is the oldest
+      const request = index.openCursor(null, 'prev');
+      
+      request.onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        const frame = cursor.value;
+        if (frame.correction) {
+          cursor.continue();
+          return;
+        }
+        
+        if (frame.timestamp < before || kept >= maxFrames || bytes + (frame.size || 0) > maxBytes) {
+          cursor.delete();
+          deleted++;
+        } else {
+          kept++;
+          bytes += frame.size || 0;
+        }
+        cursor.continue();
+      };
+      
+      tx.oncomplete = () => resolve(deleted);
+      tx.onerror = event => reject(event.target.error);
+    });
+  }
+  
+  /**
+   * Get scan history for a session
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Array>} Scan records
+   */
+  async getSessionHistory(sessionId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.STORES.SCAN_HISTORY, 'readonly');
+      const store = tx.objectStore(this.STORES.SCAN_HISTORY);
+      const index = store.index('sessionId');
+      
+      const request = index.getAll(sessionId);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Merge changes into a stored record
+   * @param {string} storeName Object store
+   * @param {string} key Record key
+   * @param {Object} changes Fields to set
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async updateRecord(storeName, key, changes) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      
+      const request = store.get(key);
+      
+      request.onsuccess = event => {
+        const record = event.target.result;
+        if (!record) {
+          reject(new Error(`No record ${key} in ${storeName}`));
+          return;
+        }
+        
+        store.put({ ...record, ...changes });
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+      
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = event => reject(event.target.error);
+    });
+  }
+  
+  /**
+   * Queue pricing data for background sync
+   * @param {string} deckId Deck ID
+   * @private
+   */
+  async queuePricingSyncTask(deckId) {
+    const tx = this.db.transaction(this.STORES.SYNC_QUEUE, 'readwrite');
+    const store = tx.objectStore(this.STORES.SYNC_QUEUE);
+    
+    store.add({
+      type: 'pricing_sync',
+      deckId: deckId,
+      timestamp: new Date().toISOString(),
+      status: 'pending'
+    });
+  }
+  
+  /**
+   * Queue scan history for background sync
+   * @param {string} recordId Record ID
+   * @private
+   */
+  async queueScanHistorySyncTask(recordId) {
+    const tx = this.db.transaction(this.STORES.SYNC_QUEUE, 'readwrite');
+    const store = tx.objectStore(this.STORES.SYNC_QUEUE);
+    
+    store.add({
+      type: 'history_sync',
+      recordId: recordId,
+      timestamp: new Date().toISOString(),
+      status: 'pending'
+    });
+  }
+  
+  /**
+   * Process background sync queue
+   * Should be called periodically when online
+   * @returns {Promise<number>} Number of processed items
+   */
+  async processSyncQueue() {
+    // Implementation for background sync
+    // Would connect to cloud service when online
+  }
+}
+
+/**
+ * Check a catalog delta's shape before any of it is applied
+ * @param {Object} delta Catalog delta
+ */
+function validateCatalogDelta(delta) {
+  if (!delta || delta.format !== CATALOG_DELTA_FORMAT) {
+    throw new Error('Not a Deck Scanner catalog update');
+  }
+  
+  if (!Number.isInteger(delta.fromVersion) || !Number.isInteger(delta.toVersion) ||
+      delta.toVersion <= delta.fromVersion) {
+    throw new Error(`Catalog update has invalid versions ${delta.fromVersion} to ${delta.toVersion}`);
+  }
+  
+  for (const section of [delta.decks, delta.pricing]) {
+    for (const change of section ? section.changed || [] : []) {
+      if (!change.deckId) {
+        throw new Error('Catalog update changes a record without a deckId');
+      }
+    }
+  }
+}
+
+export { DatabaseService };
+
+// ------------------------------------------------------
+// src/services/databaseMigrations.js
+// ------------------------------------------------------
+
+/**
+ * Database migrations - ordered, versioned steps that bring the IndexedDB
+ * schema from any earlier version to the latest one. Every step runs inside
+ * the versionchange transaction, so a failed upgrade leaves the previous
+ * version untouched.
+ *
+ * A step has:
+ * - version: schema version it produces, one higher than the step before
+ * - description: what it changes, for logs
+ * - prepare (optional): async function loading data the step needs, such
+ *   as seed records. Runs before the upgrade, since the upgrade transaction
+ *   commits as soon as it waits on anything but its own requests
+ * - upgrade({ db, tx, oldVersion, data }): creates stores and indexes,
+ *   transforms records and seeds data through tx
+ *
+ * Steps are never edited once released; change the schema by appending a
+ * new one. The service worker opens the database without a version and
+ * reads sync_queue directly, so that store must keep its name and keys.
+ */
+
+/**
+ * Migration steps, oldest first
+ * @type {Array<{version: number, description: string, prepare: ?Function, upgrade: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Catalog, pricing, scan history and sync queue stores, with the bundled catalog',
+    prepare: async () => {
+      const response = await fetch('./data/initial_data.json');
+      if (!response.ok) {
+        throw new Error(`Initial data: HTTP ${response.status}`);
+      }
+      return response.json();
+    },
+    upgrade: ({ db, data }) => {
+      const deckStore = db.createObjectStore('decks', { keyPath: 'deckId' });
+      deckStore.createIndex('manufacturer', 'manufacturer', { unique: false });
+      deckStore.createIndex('casino', 'casino', { unique: false });
+      deckStore.createIndex('visualHash', 'visualData.backImageHash', { unique: true });
+      
+      const pricingStore = db.createObjectStore('pricing', { keyPath: 'id' });
+      pricingStore.createIndex('deckId', 'deckId', { unique: true });
+      pricingStore.createIndex('lastUpdated', 'metadata.lastUpdated', { unique: false });
+      
+      const historyStore = db.createObjectStore('scan_history', { keyPath: 'id' });
+      historyStore.createIndex('sessionId', 'sessionId', { unique: false });
+      historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+      historyStore.createIndex('deckId', 'deckId', { unique: false });
+      
+      db.createObjectStore('sync_queue', { keyPath: 'id', autoIncrement: true });
+      
+      for (const deck of data.decks) {
+        deckStore.add(deck);
+      }
+      for (const pricing of data.pricing) {
+        pricingStore.add(pricing);
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Index UPC and manufacturer codes printed on tuck boxes',
+    upgrade: ({ tx }) => {
+      tx.objectStore('decks').createIndex('barcodes', 'barcodes', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 3,
+    description: 'Photos of recorded scans, linked by scanFrameId',
+    upgrade: ({ db }) => {
+      const frameStore = db.createObjectStore('scan_frames', { keyPath: 'id' });
+      frameStore.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Settings store, starting with the installed catalog version',
+    upgrade: ({ db, tx }) => {
+      // The bundled initial data is catalog version 0; deltas take it from there
+      db.createObjectStore('meta', { keyPath: 'key' })
+        .put({ key: 'catalog', version: 0, appliedAt: null });
+      
+      // Prices installed so far came from it, apart from enrolled decks' own
+      transformRecords(tx.objectStore('pricing'), pricing => {
+        if (pricing.metadata.dataSource === 'enrollment') return undefined;
+        return { ...pricing, metadata: { ...pricing.metadata, catalogVersion: 0 } };
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Inventory of owned decks, committed from scan sessions',
+    upgrade: ({ db }) => {
+      const inventoryStore = db.createObjectStore('inventory', { keyPath: 'id' });
+      inventoryStore.createIndex('deckId', 'deckId', { unique: false });
+      inventoryStore.createIndex('status', 'status', { unique: false });
+    }
+  }
+];
+
+/**
+ * Schema version after every migration
+ * @type {number}
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the steps an upgrade from a version still has to run
+ * @param {number} oldVersion Version the database is at (0 if new)
+ * @param {number} [newVersion=LATEST_VERSION] Version to upgrade to
+ * @returns {Array} Steps, oldest first
+ */
+export function getPendingMigrations(oldVersion, newVersion = LATEST_VERSION) {
+  return MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+}
+
+/**
+ * Run each step's prepare function
+ * @param {Array} steps Pending steps
+ * @returns {Promise<Object<number, *>>} Prepared data by version
+ */
+export async function prepareMigrations(steps) {
+  const prepared = {};
+  
+  for (const step of steps) {
+    if (step.prepare) {
+      prepared[step.version] = await step.prepare();
+    }
+  }
+  
+  return prepared;
+}
+
+/**
+ * Run pending steps in the versionchange transaction
+ * @param {IDBDatabase} db Database being upgraded
+ * @param {IDBTransaction} tx Versionchange transaction
+ * @param {number} oldVersion Version the database is at (0 if new)
+ * @param {Object<number, *>} prepared Data from prepareMigrations
+ * @param {number} [newVersion=LATEST_VERSION] Version to upgrade to
+ */
+export function runMigrations(db, tx, oldVersion, prepared, newVersion = LATEST_VERSION) {
+  for (const step of getPendingMigrations(oldVersion, newVersion)) {
+    try {
+      step.upgrade({ db, tx, oldVersion, data: prepared[step.version] });
+    } catch (error) {
+      throw new Error(`Migration to version ${step.version} failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Rewrite every record of a store inside an upgrade; return undefined from
+ * the transform to leave a record as it is, or null to delete it
+ * @param {IDBObjectStore} store Store from the versionchange transaction
+ * @param {function(Object): ?Object} transform Record transform
+ */
+export function transformRecords(store, transform) {
+  const request = store.openCursor();
+  
+  request.onsuccess = event => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    
+    const record = transform(cursor.value);
+    if (record === null) {
+      cursor.delete();
+    } else if (record !== undefined) {
+      cursor.update(record);
+    }
+    
+    cursor.continue();
+  };
+}
+
+// ------------------------------------------------------
+// src/services/DatabaseService.test.js
+// ------------------------------------------------------
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { DatabaseService } from './DatabaseService';
+import { LATEST_VERSION, runMigrations } from './databaseMigrations';
+
+const SEED = {
+  decks: [
+    { deckId: 'bellagio_red', name: 'Bellagio Red', manufacturer: 'Gemaco', casino: 'Bellagio',
+      visualData: { backImageHash: 'a1' } },
+    { deckId: 'wynn_blue', name: 'Wynn Blue', manufacturer: 'KEM', casino: 'Wynn',
+      visualData: { backImageHash: 'b2' } }
+  ],
+  pricing: [
+    { id: 'price_bellagio_red', deckId: 'bellagio_red', buyPrice: 2, sellPrice: 6,
+      metadata: { lastUpdated: '2024-01-01T00:00:00.000Z', dataSource: 'catalog' } },
+    { id: 'price_wynn_blue', deckId: 'wynn_blue', buyPrice: 3, sellPrice: 8,
+      metadata: { lastUpdated: '2024-01-01T00:00:00.000Z', dataSource: 'catalog' } }
+  ]
+};
+
+const SCANS = [
+  { id: 'scan_1', sessionId: 'session_1', deckId: 'bellagio_red', timestamp: '2024-02-01T10:00:00.000Z' },
+  { id: 'scan_2', sessionId: 'session_1', deckId: 'wynn_blue', timestamp: '2024-02-01T10:01:00.000Z' }
+];
+
+/**
+ * Open the raw database at a version, resolving once the connection is open
+ */
+const openRaw = (version, onUpgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('deck_scanner_db', version);
+  request.onupgradeneeded = event => onUpgrade && onUpgrade(event);
+  request.onsuccess = event => resolve(event.target.result);
+  request.onerror = event => reject(event.target.error);
+});
+
+/**
+ * Build the database the first release left behind: version 1 stores with
+ * the bundled catalog and some scan history
+ */
+const createVersion1 = async () => {
+  const db = await openRaw(1, event => {
+    runMigrations(event.target.result, event.target.transaction, 0, { 1: SEED }, 1);
+  });
+  
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction('scan_history', 'readwrite');
+    SCANS.forEach(scan => tx.objectStore('scan_history').add(scan));
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  
+  db.close();
+};
+
+const getAll = (db, storeName) => new Promise((resolve, reject) => {
+  const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const indexNames = (db, storeName) =>
+  [...db.transaction(storeName, 'readonly').objectStore(storeName).indexNames].sort();
+
+describe('DatabaseService migrations', () => {
+  let dbService;
+  
+  beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => SEED }));
+    dbService = new DatabaseService();
+  });
+  
+  afterEach(() => {
+    if (dbService.db) dbService.db.close();
+  });
+  
+  it('upgrades a populated version 1 database to the latest version', async () => {
+    await createVersion1();
+    
+    await dbService.initialize();
+    const { db } = dbService;
+    
+    expect(db.version).toBe(LATEST_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual(
+      ['decks', 'inventory', 'meta', 'pricing', 'scan_frames', 'scan_history', 'sync_queue']);
+    expect(indexNames(db, 'decks')).toEqual(['barcodes', 'casino', 'manufacturer', 'visualHash']);
+    expect(indexNames(db, 'scan_frames')).toEqual(['timestamp']);
+    expect(indexNames(db, 'inventory')).toEqual(['deckId', 'status']);
+    
+    // Existing data survives, and no seed is fetched for an existing install
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect((await dbService.getAllDecks()).map(deck => deck.deckId)).toEqual(['bellagio_red', 'wynn_blue']);
+    expect(await getAll(db, 'scan_history')).toEqual(SCANS);
+    
+    // Prices from before catalog versions are stamped with the bundled version
+    expect(await dbService.getCatalogVersion()).toBe(0);
+    const pricing = await getAll(db, 'pricing');
+    expect(pricing.map(price => price.metadata.catalogVersion)).toEqual([0, 0]);
+    expect(pricing[0].buyPrice).toBe(2);
+  });
+  
+  it('seeds a new database with the bundled catalog', async () => {
+    await dbService.initialize();
+    
+    expect(dbService.db.version).toBe(LATEST_VERSION);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(await dbService.getAllDecks()).toHaveLength(2);
+    expect((await dbService.getPricingData('wynn_blue')).metadata.catalogVersion).toBe(0);
+  });
+  
+  it('reports an upgrade blocked by a connection that stays open', async () => {
+    await createVersion1();
+    const stale = await openRaw(1);
+    
+    await expect(dbService.initialize()).rejects.toThrow('close it to finish updating');
+    
+    stale.close();
+  });
+  
+  it('closes its connection when another tab upgrades the schema', async () => {
+    await dbService.initialize();
+    const { db } = dbService;
+    
+    const newer = await openRaw(LATEST_VERSION + 1);
+    
+    expect(dbService.db).toBeNull();
+    expect(newer.version).toBe(LATEST_VERSION + 1);
+    newer.close();
+    expect(() => db.transaction('decks')).toThrow();
+  });
+});
+
+// ------------------------------------------------------
+// src/services/DeckPresenceTracker.js
+// ------------------------------------------------------
+
+/**
+ * DeckPresenceTracker - Decides whether a recognized deck is a new
+ * presentation or the same physical deck still sitting in front of the camera
+ */
+class DeckPresenceTracker {
+  /**
+   * @param {Object} [options] Tracker options
+   * @param {number} [options.absenceTimeout=1500] Milliseconds a deck must be
+   *   out of view before the same deck counts as a new presentation
+   * @param {number} [options.minOverlap=0.3] Outline overlap (IoU) needed to
+   *   treat two sightings as the same deck
+   */
+  constructor(options = {}) {
+    this.absenceTimeout = options.absenceTimeout || 1500;
+    this.minOverlap = options.minOverlap || 0.3;
+    this.current = null;
+  }
+  
+  /**
+   * Observe a confidently recognized deck
+   * @param {RecognitionResult} result Recognition result
+   * @param {number} [now] Observation time in milliseconds
+   * @returns {boolean} True if this starts a new presentation
+   */
+  observe(result, now = Date.now()) {
+    if (this.isCurrent(result, now)) {
+      this.current.lastSeen = now;
+      this.current.outline = result.outline || this.current.outline;
+      return false;
+    }
+    
+    // A near-tie may resolve to any of its candidates, so all of them
+    // identify the same presentation
+    const deckIds = result.ambiguous && result.candidates ?
+      result.candidates.map(c => c.deckId) : [result.deckId];
+    
+    this.current = {
+      deckIds: new Set(deckIds),
+      outline: result.outline,
+      firstSeen: now,
+      lastSeen: now
+    };
+    
+    return true;
+  }
+  
+  /**
+   * Observe a frame without a confident recognition; an outline that still
+   * overlaps the current deck keeps its presentation alive
+   * @param {?DeckOutline} outline Detected outline, if any
+   * @param {number} [now] Observation time in milliseconds
+   */
+  observeMiss(outline, now = Date.now()) {
+    if (!this.current) return;
+    
+    if (now - this.current.lastSeen > this.absenceTimeout) {
+      this.current = null;
+    } else if (outline && this.overlaps(outline, this.current.outline)) {
+      this.current.lastSeen = now;
+    }
+  }
+  
+  /**
+   * Tie the current presentation to the deck the user picked
+   * @param {string} deckId Chosen deck ID
+   */
+  confirm(deckId) {
+    if (this.current) {
+      this.current.deckIds.add(deckId);
+    }
+  }
+  
+  /**
+   * Forget the current presentation
+   */
+  reset() {
+    this.current = null;
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Check whether a result belongs to the current presentation
+   * @param {RecognitionResult} result Recognition result
+   * @param {number} now Observation time in milliseconds
+   * @returns {boolean} True if it is the same deck
+   * @private
+   */
+  isCurrent(result, now) {
+    if (!this.current) return false;
+    if (now - this.current.lastSeen > this.absenceTimeout) return false;
+    if (!this.current.deckIds.has(result.deckId)) return false;
+    
+    return this.overlaps(result.outline, this.current.outline);
+  }
+  
+  /**
+   * Compare two outlines by bounding-box intersection over union
+   * @param {?DeckOutline} a First outline
+   * @param {?DeckOutline} b Second outline
+   * @returns {boolean} True if they overlap enough, or either is unknown
+   * @private
+   */
+  overlaps(a, b) {
+    if (!a || !b) return true;
+    
+    const box = outline => {
+      const xs = outline.corners.map(p => p.x);
+      const ys = outline.corners.map(p => p.y);
+      return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+    };
+    const boxA = box(a);
+    const boxB = box(b);
+    
+    const intersection = Math.max(0, Math.min(boxA.x2, boxB.x2) - Math.max(boxA.x1, boxB.x1)) *
+                         Math.max(0, Math.min(boxA.y2, boxB.y2) - Math.max(boxA.y1, boxB.y1));
+    const union = (boxA.x2 - boxA.x1) * (boxA.y2 - boxA.y1) +
+                  (boxB.x2 - boxB.x1) * (boxB.y2 - boxB.y1) - intersection;
+    
+    return union > 0 && intersection / union >= this.minOverlap;
+  }
+}
+
+export { DeckPresenceTracker };
+
+// ------------------------------------------------------
+// src/services/ScoringPolicy.js
+// ------------------------------------------------------
+
+const POLICY_KEY = 'deck_scanner_scoring_policy';
+
+const DEFAULT_WEIGHTS = {
+  classifier: 0.5,
+  hash: 0.2,
+  text: 0.2,
+  quality: 0.1
+};
+
+const DEFAULT_THRESHOLDS = {
+  accept: 0.75,
+  ask: 0.6,
+  review: 0.4
+};
+
+const DEFAULT_AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * ScoringPolicy - Combines the recognition signals for a candidate into one
+ * score and decides what the scanner does with it:
+ *
+ *   accept  record without asking
+ *   ask     let the user confirm or pick between candidates
+ *   review  too weak to act on now, kept for manual review
+ *   reject  discarded
+ *
+ * Thresholds and the ambiguity margin are user settings kept in
+ * localStorage. Calibration maps the raw
+ * weighted score through a logistic curve (Platt scaling), with parameters
+ * fitted per model version by the evaluation tool (tools/evaluate.js) and
+ * shipped with the model; without it the raw score is used.
+ */
+class ScoringPolicy {
+  /**
+   * @param {Object} [options] Policy options; saved settings take precedence
+   * @param {Object} [options.weights] Weight per signal (classifier, hash, text, quality)
+   * @param {Object} [options.thresholds] Minimum score for accept, ask and review
+   * @param {number} [options.ambiguityMargin=0.05] Max score gap between the
+   *   top two candidates that still counts as too close to call
+   * @param {?{slope: number, intercept: number}} [options.calibration] Platt
+   *   scaling parameters, until the scanner loads those of its model
+   */
+  constructor(options = {}) {
+    const saved = this.loadSettings();
+    
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    // What resetThresholds goes back to
+    this.defaults = {
+      thresholds: { ...DEFAULT_THRESHOLDS, ...options.thresholds },
+      ambiguityMargin: typeof options.ambiguityMargin === 'number' ?
+        options.ambiguityMargin : DEFAULT_AMBIGUITY_MARGIN
+    };
+    this.thresholds = { ...this.defaults.thresholds, ...saved.thresholds };
+    this.ambiguityMargin = typeof saved.ambiguityMargin === 'number' ?
+      saved.ambiguityMargin : this.defaults.ambiguityMargin;
+    this.calibration = null;
+    this.setCalibration(options.calibration || null);
+  }
+  
+  /**
+   * Score a candidate from whichever signals are available
+   * @param {Object} signals Signals in [0, 1]; null or missing when unknown
+   * @param {?number} [signals.classifier] Classifier (or enrollment) confidence
+   * @param {?number} [signals.hash] Perceptual-hash similarity to the catalog
+   * @param {?number} [signals.text] OCR verification score
+   * @param {?number} [signals.quality] Frame quality
+   * @returns {number} Score in [0, 1]
+   */
+  score(signals) {
+    let total = 0;
+    let weight = 0;
+    
+    // Missing signals drop out and the rest are reweighted
+    for (const [name, w] of Object.entries(this.weights)) {
+      const value = signals[name];
+      if (value === null || value === undefined) continue;
+      
+      total += w * value;
+      weight += w;
+    }
+    
+    if (weight === 0) return 0;
+    
+    const raw = total / weight;
+    if (!this.calibration) return raw;
+    
+    return 1 / (1 + Math.exp(-(this.calibration.slope * raw + this.calibration.intercept)));
+  }
+  
+  /**
+   * Decide what to do with a result. A close call between the top candidates
+   * is put to the user whenever it scores high enough to keep for review,
+   * since two near-equal candidates rarely both score above accept
+   * @param {number} score Score of the best candidate
+   * @param {boolean} ambiguous Whether the top candidates are too close to call
+   * @returns {string} 'accept', 'ask', 'review' or 'reject'
+   */
+  decide(score, ambiguous) {
+    if (ambiguous && score >= this.thresholds.review) return 'ask';
+    if (score >= this.thresholds.accept) return 'accept';
+    if (score >= this.thresholds.ask) return 'ask';
+    if (score >= this.thresholds.review) return 'review';
+    
+    return 'reject';
+  }
+  
+  /**
+   * Get the user-configurable thresholds
+   * @returns {{accept: number, ask: number, review: number}} Thresholds
+   */
+  getThresholds() {
+    return { ...this.thresholds };
+  }
+  
+  /**
+   * Update and save the thresholds
+   * @param {Object} thresholds New accept, ask and/or review thresholds
+   * @returns {{accept: number, ask: number, review: number}} Saved thresholds
+   */
+  setThresholds(thresholds) {
+    const next = { ...this.thresholds, ...thresholds };
+    
+    if (!(next.accept >= next.ask && next.ask >= next.review && next.review >= 0 && next.accept <= 1)) {
+      throw new Error('Thresholds must satisfy 1 >= accept >= ask >= review >= 0');
+    }
+    
+    this.thresholds = next;
+    this.saveSettings();
+    
+    return this.getThresholds();
+  }
+  
+  /**
+   * Get the score gap within which the top two candidates are too close to call
+   * @returns {number} Ambiguity margin
+   */
+  getAmbiguityMargin() {
+    return this.ambiguityMargin;
+  }
+  
+  /**
+   * Update and save the ambiguity margin
+   * @param {number} margin New margin in [0, 1]
+   * @returns {number} Saved margin
+   */
+  setAmbiguityMargin(margin) {
+    if (!(margin >= 0 && margin <= 1)) {
+      throw new Error('Ambiguity margin must be between 0 and 1');
+    }
+    
+    this.ambiguityMargin = margin;
+    this.saveSettings();
+    
+    return this.ambiguityMargin;
+  }
+  
+  /**
+   * Get the Platt scaling parameters in use
+   * @returns {?{slope: number, intercept: number}} Calibration, or null for raw scores
+   */
+  getCalibration() {
+    return this.calibration ? { ...this.calibration } : null;
+  }
+  
+  /**
+   * Replace the Platt scaling parameters
+   * @param {?{slope: number, intercept: number}} calibration Calibration, or
+   *   null for raw scores
+   */
+  setCalibration(calibration) {
+    if (calibration && !(Number.isFinite(calibration.slope) && Number.isFinite(calibration.intercept))) {
+      throw new Error('Calibration needs a finite slope and intercept');
+    }
+    
+    this.calibration = calibration ? { slope: calibration.slope, intercept: calibration.intercept } : null;
+  }
+  
+  /**
+   * Restore the configured thresholds and ambiguity margin
+   * @returns {{accept: number, ask: number, review: number}} Configured thresholds
+   */
+  resetThresholds() {
+    localStorage.removeItem(POLICY_KEY);
+    this.thresholds = { ...this.defaults.thresholds };
+    this.ambiguityMargin = this.defaults.ambiguityMargin;
+    
+    return this.getThresholds();
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Read saved settings
+   * @returns {Object} Saved settings, empty if none
+   * @private
+   */
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(POLICY_KEY)) || {};
+    } catch (error) {
+      console.error('Saved scoring policy is corrupt, using defaults:', error);
+      return {};
+    }
+  }
+  
+  /**
+   * Save the thresholds and ambiguity margin
+   * @private
+   */
+  saveSettings() {
+    localStorage.setItem(POLICY_KEY, JSON.stringify({
+      thresholds: this.thresholds,
+      ambiguityMargin: this.ambiguityMargin
+    }));
+  }
+}
+
+export { ScoringPolicy };
+
+// ------------------------------------------------------
+// src/services/FrameScheduler.js
+// ------------------------------------------------------
+
+import { createCanvas } from '../utils/deckLocalization';
+
+const BATTERY_SAVER_KEY = 'deck_scanner_battery_saver';
+
+// Tiny snapshot used to tell whether anything in view has changed
+const SNAPSHOT_WIDTH = 32;
+const SNAPSHOT_HEIGHT = 24;
+
+/**
+ * FrameScheduler - Decides when the next camera frame is worth recognizing.
+ * The rate follows measured recognition latency, backs off while the view
+ * is unchanged, waits out camera motion and fires as soon as it settles on
+ * something new. Scanning pauses while the page is hidden
+ */
+class FrameScheduler {
+  /**
+   * @param {Object} [options] Scheduler options
+   * @param {number} [options.minInterval=100] Shortest gap between frames (ms)
+   * @param {number} [options.maxIdleInterval=1500] Longest gap while nothing changes (ms)
+   * @param {number} [options.latencyFactor=1.5] Gap as a multiple of recognition time
+   * @param {number} [options.motionThreshold=10] Mean pixel difference (0-255)
+   *   that counts as camera or deck motion
+   * @param {number} [options.changeThreshold=6] Mean pixel difference from the
+   *   last recognized frame that counts as a new view
+   * @param {number} [options.batterySaverFactor=3] Slow-down in battery saver mode
+   */
+  constructor(options = {}) {
+    this.minInterval = options.minInterval || 100;
+    this.maxIdleInterval = options.maxIdleInterval || 1500;
+    this.latencyFactor = options.latencyFactor || 1.5;
+    this.motionThreshold = options.motionThreshold || 10;
+    this.changeThreshold = options.changeThreshold || 6;
+    this.batterySaverFactor = options.batterySaverFactor || 3;
+    this.batterySaver = FrameScheduler.loadBatterySaver();
+    
+    this.video = null;
+    this.processFrame = null;
+    this.timer = null;
+    this.running = false;
+    this.paused = false;
+    this.latency = null;
+    this.idleInterval = this.minInterval;
+    this.previousSnapshot = null;
+    this.recognizedSnapshot = null;
+    this.moving = false;
+    this.canvas = createCanvas(SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT);
+    this.handleVisibility = this.handleVisibility.bind(this);
+  }
+  
+  /**
+   * Start scheduling frames
+   * @param {HTMLVideoElement} video Camera video
+   * @param {Function} processFrame Async callback that recognizes the current
+   *   frame, resolving true if it was classified
+   */
+  start(video, processFrame) {
+    this.stop();
+    
+    this.video = video;
+    this.processFrame = processFrame;
+    this.running = true;
+    this.paused = document.hidden;
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    
+    if (!this.paused) {
+      this.schedule(0);
+    }
+  }
+  
+  /**
+   * Stop scheduling frames
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    
+    this.previousSnapshot = null;
+    this.recognizedSnapshot = null;
+    this.idleInterval = this.minInterval;
+  }
+  
+  /**
+   * Turn battery saver mode on or off; the choice is remembered
+   * @param {boolean} enabled Battery saver on
+   */
+  setBatterySaver(enabled) {
+    this.batterySaver = enabled;
+    localStorage.setItem(BATTERY_SAVER_KEY, enabled ? '1' : '0');
+  }
+  
+  /**
+   * Read the saved battery saver choice
+   * @returns {boolean} Battery saver on
+   */
+  static loadBatterySaver() {
+    return localStorage.getItem(BATTERY_SAVER_KEY) === '1';
+  }
+  
+  /**
+   * Get scheduling state for diagnostics
+   * @returns {{latency: ?number, interval: number, moving: boolean, paused: boolean, batterySaver: boolean}}
+   *   Current state
+   */
+  getState() {
+    return {
+      latency: this.latency,
+      interval: this.activeInterval(),
+      moving: this.moving,
+      paused: this.paused,
+      batterySaver: this.batterySaver
+    };
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Queue the next tick
+   * @param {number} delay Milliseconds to wait
+   * @private
+   */
+  schedule(delay) {
+    if (!this.running || this.paused) return;
+    
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay * (this.batterySaver ? this.batterySaverFactor : 1));
+  }
+  
+  /**
+   * Look at the camera and decide whether to recognize this frame
+   * @private
+   */
+  async tick() {
+    if (!this.running || this.paused || this.video.readyState < 2) {
+      this.schedule(this.minInterval);
+      return;
+    }
+    
+    const snapshot = this.takeSnapshot();
+    const motion = this.previousSnapshot ? difference(snapshot, this.previousSnapshot) : 0;
+    this.previousSnapshot = snapshot;
+    
+    // Frames taken while moving are blurred; check again soon
+    if (motion > this.motionThreshold) {
+      this.moving = true;
+      this.schedule(this.minInterval);
+      return;
+    }
+    
+    const settled = this.moving;
+    this.moving = false;
+    
+    // Motion just stopped or the view changed: recognize at full rate.
+    // Nothing new since the last classification: keep checking, backing off
+    const changed = !this.recognizedSnapshot ||
+      difference(snapshot, this.recognizedSnapshot) > this.changeThreshold;
+    this.idleInterval = changed || settled ? this.minInterval :
+      Math.min(this.maxIdleInterval, this.idleInterval * 1.5);
+    
+    const start = performance.now();
+    try {
+      // Only a classified frame counts as seen; a gated, dropped or ignored
+      // one is tried again without waiting for the camera to move
+      if (await this.processFrame()) {
+        this.recognizedSnapshot = snapshot;
+      }
+    } catch (error) {
+      console.error('Error processing scheduled frame:', error);
+    } finally {
+      const elapsed = performance.now() - start;
+      this.latency = this.latency === null ? elapsed : this.latency * 0.8 + elapsed * 0.2;
+      this.schedule(Math.max(this.activeInterval(), this.idleInterval));
+    }
+  }
+  
+  /**
+   * Gap between recognitions that keeps the worker busy without queueing
+   * @returns {number} Milliseconds
+   * @private
+   */
+  activeInterval() {
+    return Math.max(this.minInterval, (this.latency || 0) * this.latencyFactor);
+  }
+  
+  /**
+   * Draw the video into a tiny grayscale snapshot
+   * @returns {Uint8Array} Snapshot pixels
+   * @private
+   */
+  takeSnapshot() {
+    const ctx = this.canvas.getContext('2d');
+    ctx.drawImage(this.video, 0, 0, SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT);
+    const { data } = ctx.getImageData(0, 0, SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT);
+    
+    const gray = new Uint8Array(SNAPSHOT_WIDTH * SNAPSHOT_HEIGHT);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3;
+    }
+    
+    return gray;
+  }
+  
+  /**
+   * Pause while the page is hidden and resume when it is shown again
+   * @private
+   */
+  handleVisibility() {
+    this.paused = document.hidden;
+    
+    if (this.paused) {
+      clearTimeout(this.timer);
+    } else {
+      // Whatever is in view now hasn't been seen yet
+      this.previousSnapshot = null;
+      this.recognizedSnapshot = null;
+      this.schedule(0);
+    }
+  }
+}
+
+function difference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  
+  return sum / a.length;
+}
+
+export { FrameScheduler };
+
+// ------------------------------------------------------
+// src/services/ModelRegistry.js
+// ------------------------------------------------------
+
+const REGISTRY_KEY = 'deck_scanner_model_registry';
+
+/**
+ * The model shipped with the app, used until an update has been installed
+ * and as the last resort when rolling back
+ */
+const BUNDLED_MODEL = {
+  version: 'bundled',
+  modelUrl: './models/model.json',
+  labelUrl: './models/labels.json',
+  // Optional; written by tools/evaluate.js
+  calibrationUrl: './models/calibration.json',
+  // Pooled features feeding the classification head, used for enrollment.
+  // Checked when the model loads; enrollment is disabled if it's missing
+  embeddingNode: 'StatefulPartitionedCall/model/global_average_pooling2d/Mean'
+};
+
+/**
+ * Model manifest served at public/models/manifest.json:
+ *
+ *   {
+ *     "latest": "2025.04.1",
+ *     "versions": [{
+ *       "version": "2025.04.1",
+ *       "modelUrl": "2025.04.1/model.json",
+ *       "labelUrl": "2025.04.1/labels.json",
+ *       "embeddingNode": "<penultimate layer node name>",
+ *       "calibration": { "slope": <number>, "intercept": <number> },
+ *       "checksums": { "weights": "<sha256 hex>", "labels": "<sha256 hex>" }
+ *     }]
+ *   }
+ */
+
+/**
+ * ModelRegistry - Tracks which classifier versions are installed in
+ * IndexedDB and which one is active. All pointers live in a single
+ * localStorage record so every switch is one atomic write
+ */
+class ModelRegistry {
+  /**
+   * @param {Object} [options] Registry options
+   * @param {string} [options.manifestUrl] URL of the model manifest
+   */
+  constructor(options = {}) {
+    this.manifestUrl = options.manifestUrl || './models/manifest.json';
+  }
+  
+  /**
+   * Describe the model that should be loaded
+   * @returns {{version: string, modelUrl: string, labelUrl: ?string, labels: ?Array<Object>, embeddingNode: ?string}}
+   *   Active model; downloaded versions carry their labels and score
+   *   calibration inline, the bundled one has a calibrationUrl
+   */
+  getActiveModel() {
+    const state = this.getState();
+    const installed = state.installed[state.active];
+    
+    if (!installed) {
+      return { ...BUNDLED_MODEL, labels: null };
+    }
+    
+    return {
+      version: installed.version,
+      modelUrl: ModelRegistry.storageUrl(installed.version),
+      labelUrl: null,
+      labels: installed.labels,
+      embeddingNode: installed.embeddingNode || null,
+      calibration: installed.calibration || null
+    };
+  }
+  
+  /**
+   * Get the registry pointers
+   * @returns {{active: string, previous: ?string, pending: ?string, installed: Object}} State
+   */
+  getState() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+      if (stored) return stored;
+    } catch (error) {
+      console.error('Model registry is corrupt, falling back to bundled model:', error);
+    }
+    
+    return { active: BUNDLED_MODEL.version, previous: null, pending: null, installed: {} };
+  }
+  
+  /**
+   * Fetch the manifest and find a version newer than anything installed
+   * @returns {Promise<?Object>} Manifest entry to install, with absolute URLs
+   */
+  async checkForUpdate() {
+    const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Model manifest request failed: ${response.status}`);
+    }
+    
+    const manifest = await response.json();
+    const state = this.getState();
+    const latest = manifest.versions.find(v => v.version === manifest.latest);
+    
+    if (!latest || state.installed[latest.version] || state.active === latest.version) {
+      return null;
+    }
+    
+    // Manifest URLs are relative to the manifest itself
+    return {
+      ...latest,
+      modelUrl: new URL(latest.modelUrl, response.url).href,
+      labelUrl: new URL(latest.labelUrl, response.url).href
+    };
+  }
+  
+  /**
+   * Record a downloaded and verified version; it becomes active the next
+   * time the scanner initializes
+   * @param {Object} entry Manifest entry of the installed version
+   * @param {Array<Object>} labels Labels for the version
+   */
+  markInstalled(entry, labels) {
+    const state = this.getState();
+    state.installed[entry.version] = {
+      version: entry.version,
+      labels: labels,
+      embeddingNode: entry.embeddingNode || null,
+      calibration: entry.calibration || null,
+      installedAt: new Date().toISOString()
+    };
+    state.pending = entry.version;
+    this.saveState(state);
+  }
+  
+  /**
+   * Make the pending version active, keeping the current one for rollback
+   * @returns {boolean} True if a switch happened
+   */
+  activatePending() {
+    const state = this.getState();
+    if (!state.pending) return false;
+    
+    state.previous = state.active;
+    state.active = state.pending;
+    state.pending = null;
+    this.saveState(state);
+    
+    return true;
+  }
+  
+  /**
+   * Swap the active and previous versions
+   * @returns {boolean} True if there was a version to roll back to
+   */
+  rollback() {
+    const state = this.getState();
+    if (!state.previous) return false;
+    
+    [state.active, state.previous] = [state.previous, state.active];
+    this.saveState(state);
+    
+    return true;
+  }
+  
+  /**
+   * Stop using a version that failed to load: the previous version becomes
+   * active, or the bundled model if there is none. The failed version is no
+   * longer kept, so takeObsoleteVersions frees it
+   * @param {string} version Version that failed
+   */
+  markFailed(version) {
+    const state = this.getState();
+    if (state.active !== version) return;
+    
+    state.active = state.previous || BUNDLED_MODEL.version;
+    state.previous = null;
+    this.saveState(state);
+  }
+  
+  /**
+   * List installed versions that are no longer active, previous or pending
+   * and forget them
+   * @returns {string[]} Versions whose stored models can be deleted
+   */
+  takeObsoleteVersions() {
+    const state = this.getState();
+    const keep = new Set([state.active, state.previous, state.pending]);
+    const obsolete = Object.keys(state.installed).filter(version => !keep.has(version));
+    
+    obsolete.forEach(version => delete state.installed[version]);
+    this.saveState(state);
+    
+    return obsolete;
+  }
+  
+  /**
+   * tf.io URL a version is stored under
+   * @param {string} version Model version
+   * @returns {string} IndexedDB model URL
+   */
+  static storageUrl(version) {
+    return `indexeddb://deck-model-${version}`;
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Persist the registry pointers
+   * @param {Object} state Registry state
+   * @private
+   */
+  saveState(state) {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(state));
+  }
+}
+
+export { ModelRegistry, BUNDLED_MODEL };
+
+// ------------------------------------------------------
+// src/services/LanguagePackRegistry.js
+// ------------------------------------------------------
+
+const LANGUAGE_KEY = 'deck_scanner_ocr_languages';
+
+// Cache Storage bucket for traineddata files; the service worker serves
+// /tessdata/ from it and keeps it across app updates
+const TESSDATA_CACHE = 'deck-scanner-tessdata';
+
+// Tesseract languages offered for download, with the markets they cover
+const LANGUAGE_PACKS = [
+  { code: 'eng', name: 'English' },
+  { code: 'chi_tra', name: 'Chinese (Traditional) - Macau, Hong Kong' },
+  { code: 'chi_sim', name: 'Chinese (Simplified)' },
+  { code: 'por', name: 'Portuguese - Macau' },
+  { code: 'fra', name: 'French' },
+  { code: 'deu', name: 'German' },
+  { code: 'ita', name: 'Italian' },
+  { code: 'spa', name: 'Spanish' },
+  { code: 'nld', name: 'Dutch' }
+];
+
+/**
+ * LanguagePackRegistry - Tracks which Tesseract language packs are
+ * downloaded and active, plus an optional custom-trained traineddata file
+ * (e.g. for casino logo fonts). Packs live in Cache Storage so OCR works
+ * offline; the selection is a single localStorage record
+ */
+class LanguagePackRegistry {
+  /**
+   * @param {Object} [options] Registry options
+   * @param {string} [options.langPath='./tessdata'] Directory serving the
+   *   gzipped traineddata files
+   */
+  constructor(options = {}) {
+    this.langPath = options.langPath || './tessdata';
+  }
+  
+  /**
+   * Get the saved selection
+   * @returns {{active: Array<string>, custom: ?Object}} Active language codes
+   *   and the custom pack {code, fileName, size, installedAt, enabled}
+   */
+  getState() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(LANGUAGE_KEY));
+      if (stored) return stored;
+    } catch (error) {
+      console.error('OCR language settings are corrupt, falling back to English:', error);
+    }
+    
+    return { active: ['eng'], custom: null };
+  }
+  
+  /**
+   * Describe the languages the OCR worker should load
+   * @returns {{languages: Array<string>, custom: ?{code: string, url: string}}}
+   *   Stock language codes and the custom pack, with an absolute URL
+   */
+  getOcrConfig() {
+    const { active, custom } = this.getState();
+    
+    return {
+      languages: active,
+      custom: custom && custom.enabled ? { code: custom.code, url: this.customUrl(custom.code) } : null
+    };
+  }
+  
+  /**
+   * List the available packs
+   * @returns {Promise<Array<{code: string, name: string, downloaded: boolean, active: boolean}>>}
+   *   Packs with their download and selection state
+   */
+  async listPacks() {
+    const { active } = this.getState();
+    const cache = await caches.open(TESSDATA_CACHE);
+    
+    return Promise.all(LANGUAGE_PACKS.map(async pack => ({
+      ...pack,
+      downloaded: !!await cache.match(this.packUrl(pack.code)),
+      active: active.includes(pack.code)
+    })));
+  }
+  
+  /**
+   * Download a language pack for offline use
+   * @param {string} code Tesseract language code
+   */
+  async download(code) {
+    if (!LANGUAGE_PACKS.some(pack => pack.code === code)) {
+      throw new Error(`Unknown language pack: ${code}`);
+    }
+    
+    const url = this.packUrl(code);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Language pack download failed: ${response.status}`);
+    }
+    
+    const cache = await caches.open(TESSDATA_CACHE);
+    await cache.put(url, response);
+  }
+  
+  /**
+   * Delete a downloaded pack and stop using it
+   * @param {string} code Tesseract language code
+   */
+  async remove(code) {
+    const cache = await caches.open(TESSDATA_CACHE);
+    await cache.delete(this.packUrl(code));
+    
+    const state = this.getState();
+    if (state.active.includes(code) && state.active.length > 1) {
+      state.active = state.active.filter(active => active !== code);
+      this.saveState(state);
+    }
+  }
+  
+  /**
+   * Choose the stock languages to recognize, all at once
+   * @param {Array<string>} codes Tesseract language codes, most common first
+   */
+  setActive(codes) {
+    if (codes.length === 0) {
+      throw new Error('At least one OCR language is required');
+    }
+    
+    const unknown = codes.find(code => !LANGUAGE_PACKS.some(pack => pack.code === code));
+    if (unknown) {
+      throw new Error(`Unknown language pack: ${unknown}`);
+    }
+    
+    this.saveState({ ...this.getState(), active: codes });
+  }
+  
+  /**
+   * Install a custom-trained traineddata file, replacing any previous one
+   * @param {File} file Uncompressed .traineddata file
+   * @param {string} code Language code to load it under, e.g. 'casino'
+   */
+  async installCustom(file, code) {
+    if (!/^[a-z0-9_]+$/.test(code) || LANGUAGE_PACKS.some(pack => pack.code === code)) {
+      throw new Error('Custom language code must be lowercase letters, digits or _ and not a stock language');
+    }
+    
+    const state = this.getState();
+    const cache = await caches.open(TESSDATA_CACHE);
+    if (state.custom) {
+      await cache.delete(this.customUrl(state.custom.code));
+    }
+    await cache.put(this.customUrl(code), new Response(file));
+    
+    state.custom = {
+      code: code,
+      fileName: file.name,
+      size: file.size,
+      installedAt: new Date().toISOString(),
+      enabled: true
+    };
+    this.saveState(state);
+  }
+  
+  /**
+   * Use or stop using the custom pack
+   * @param {boolean} enabled Load the custom pack with the stock languages
+   */
+  setCustomEnabled(enabled) {
+    const state = this.getState();
+    if (!state.custom) return;
+    
+    state.custom.enabled = enabled;
+    this.saveState(state);
+  }
+  
+  /**
+   * Delete the custom pack
+   */
+  async removeCustom() {
+    const state = this.getState();
+    if (!state.custom) return;
+    
+    const cache = await caches.open(TESSDATA_CACHE);
+    await cache.delete(this.customUrl(state.custom.code));
+    
+    state.custom = null;
+    this.saveState(state);
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * URL Tesseract fetches a stock pack from
+   * @param {string} code Tesseract language code
+   * @returns {string} Absolute URL
+   * @private
+   */
+  packUrl(code) {
+    return new URL(`${this.langPath}/${code}.traineddata.gz`, document.baseURI).href;
+  }
+  
+  /**
+   * Cache key of the custom pack; never fetched from the network
+   * @param {string} code Custom language code
+   * @returns {string} Absolute URL
+   * @private
+   */
+  customUrl(code) {
+    return new URL(`${this.langPath}/custom/${code}.traineddata`, document.baseURI).href;
+  }
+  
+  /**
+   * Save the selection
+   * @param {Object} state Selection
+   * @private
+   */
+  saveState(state) {
+    localStorage.setItem(LANGUAGE_KEY, JSON.stringify(state));
+  }
+}
+
+export { LanguagePackRegistry, LANGUAGE_PACKS, TESSDATA_CACHE };
+
+// ------------------------------------------------------
+// src/services/RecognitionPipeline.js
+// ------------------------------------------------------
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import { createWorker } from 'tesseract.js';
+import { toImageData, toDataURL, localizeDeck, localizeDecks, findTextRegions } from '../utils/deckLocalization';
+import { computePerceptualHashes } from '../utils/perceptualHash';
+import { decodeBarcodes } from '../utils/barcodeDecoder';
+import { assessFrameQuality } from '../utils/frameQuality';
+import { ModelRegistry } from './ModelRegistry';
+import { TESSDATA_CACHE } from './LanguagePackRegistry';
+
+const INPUT_SIZE = 224;
+
+// OCR languages when none are configured
+const DEFAULT_OCR = { languages: ['eng'], custom: null };
+
+// Tensors allowed to outlive a recognition before the watchdog complains
+const TENSOR_LEAK_LIMIT = 20;
+
+/**
+ * RecognitionPipeline - Localization, classification, hashing and OCR for a
+ * single frame. Runs inside the recognition worker and has no DOM or
+ * database dependencies
+ */
+class RecognitionPipeline {
+  constructor() {
+    this.model = null;
+    this.embeddingNode = null;
+    this.ocrWorker = null;
+    this.ocrLanguages = null;
+    this.labels = [];
+    this.knownBarcodes = new Set();
+    this.inputScale = null;
+    this.inputOffset = null;
+    this.diagnostics = {
+      backend: null,
+      benchmarks: {},
+      warmupMs: null,
+      lastInferenceMs: null,
+      averageInferenceMs: null,
+      tensorBaseline: 0,
+      leakWarnings: 0,
+      enrollmentAvailable: false
+    };
+  }
+  
+  /**
+   * Load the model, labels and OCR worker. Model and label failures throw an
+   * error whose `component` names the part that failed; an OCR failure is
+   * reported in the result, since recognition still works without text
+   * @param {Object} config Pipeline configuration
+   * @param {?string} config.modelUrl TensorFlow.js graph model URL (http or
+   *   indexeddb); null starts the pipeline in OCR-only mode
+   * @param {?string} config.labelUrl Classification labels URL
+   * @param {?Array<Object>} config.labels Labels, when stored with the model
+   * @param {?string} config.embeddingNode Graph node whose output is used as
+   *   the deck embedding for enrollment matching
+   * @param {string} config.langPath Tesseract language data path
+   * @param {{languages: Array<string>, custom: ?{code: string, url: string}}} [config.ocr]
+   *   OCR languages from LanguagePackRegistry; English when omitted
+   * @param {Array<string>} config.backends TensorFlow.js backends to try
+   * @param {?{backend: string, benchmarks: Object}} config.backendChoice Result
+   *   of an earlier benchmark; skips benchmarking if the backend still initializes
+   * @param {string} config.wasmPath Directory serving the WASM backend binaries
+   * @returns {Promise<{labels: Array<Object>, diagnostics: Object, ocrLanguages: ?string, ocrError: ?string}>}
+   *   Loaded labels, backend diagnostics, the OCR languages in use and the
+   *   OCR failure, if any
+   */
+  async initialize({ modelUrl, labelUrl, labels, embeddingNode, langPath, ocr, backends, backendChoice, wasmPath }) {
+    // Release the previous model when retrying with another version
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+    this.embeddingNode = null;
+    this.diagnostics.enrollmentAvailable = false;
+    this.labels = [];
+    
+    if (modelUrl) {
+      // Load TensorFlow.js model
+      try {
+        this.model = await tf.loadGraphModel(modelUrl);
+        
+        // Checked before benchmarking, which runs the graph with the node
+        this.embeddingNode = embeddingNode || null;
+        this.checkEmbeddingNode();
+        
+        setWasmPaths(wasmPath);
+        await this.selectBackend(backends, backendChoice);
+        this.warmUp();
+      } catch (error) {
+        throw componentError('model', error);
+      }
+      
+      // Load classification labels
+      try {
+        if (labels) {
+          this.labels = labels;
+        } else {
+          const labelsResponse = await fetch(labelUrl);
+          this.labels = await labelsResponse.json();
+        }
+      } catch (error) {
+        throw componentError('labels', error);
+      }
+    }
+    
+    // Initialize OCR worker for text recognition on cards
+    const ocrConfig = ocr || DEFAULT_OCR;
+    let ocrError = null;
+    if (!this.ocrWorker || this.ocrLanguages !== ocrLanguageString(ocrConfig)) {
+      ocrError = await this.startOcr(langPath, ocrConfig);
+    }
+    
+    return {
+      labels: this.labels,
+      diagnostics: this.getDiagnostics(),
+      ocrLanguages: this.ocrLanguages,
+      ocrError: ocrError
+    };
+  }
+  
+  /**
+   * Restart OCR with another set of languages
+   * @param {Object} config OCR configuration
+   * @param {string} config.langPath Tesseract language data path
+   * @param {{languages: Array<string>, custom: ?Object}} config.ocr Languages to load
+   * @returns {Promise<{ocrLanguages: ?string, ocrError: ?string}>} Languages
+   *   in use and the failure, if any
+   */
+  async configureOcr({ langPath, ocr }) {
+    const ocrError = await this.startOcr(langPath, ocr);
+    return { ocrLanguages: this.ocrLanguages, ocrError: ocrError };
+  }
+  
+  /**
+   * Report the backend, its timings and tensor memory
+   * @returns {Object} Diagnostics
+   */
+  getDiagnostics() {
+    const memory = tf.memory();
+    
+    return {
+      ...this.diagnostics,
+      numTensors: memory.numTensors,
+      numBytes: memory.numBytes
+    };
+  }
+  
+  /**
+   * Download a model version, verify it and store it in IndexedDB
+   * @param {Object} entry Model manifest entry with absolute URLs
+   * @returns {Promise<{labels: Array<Object>}>} Labels for the version
+   */
+  async installModel({ version, modelUrl, labelUrl, checksums = {} }) {
+    const artifacts = await tf.io.http(modelUrl).load();
+    const labelsResponse = await fetch(labelUrl);
+    if (!labelsResponse.ok) {
+      throw new Error(`${version} labels request failed: ${labelsResponse.status}`);
+    }
+    const labelsBuffer = await labelsResponse.arrayBuffer();
+    
+    await this.verifyChecksum(artifacts.weightData, checksums.weights, `${version} weights`);
+    await this.verifyChecksum(labelsBuffer, checksums.labels, `${version} labels`);
+    
+    const [saveHandler] = tf.io.getSaveHandlers(ModelRegistry.storageUrl(version));
+    await saveHandler.save(artifacts);
+    
+    return { labels: JSON.parse(new TextDecoder().decode(labelsBuffer)) };
+  }
+  
+  /**
+   * Delete a stored model version
+   * @param {string} version Model version
+   */
+  async removeModel(version) {
+    await tf.io.removeModel(ModelRegistry.storageUrl(version));
+  }
+  
+  /**
+   * Replace the set of barcodes that identify a catalog deck
+   * @param {Array<string>} codes Normalized barcode values
+   */
+  setKnownBarcodes(codes) {
+    this.knownBarcodes = new Set(codes);
+  }
+  
+  /**
+   * Recognize the deck, or every deck in a table spread, in a frame
+   * @param {ImageBitmap|ImageData} frame Captured frame
+   * @param {Object} [options] Recognition options
+   * @param {string} [options.mode='single'] 'single' or 'spread'
+   * @param {number} [options.topK=3] Number of top predictions to rank
+   * @param {boolean} [options.qualityGate=false] Skip classification when the
+   *   frame is too poor to trust (single mode)
+   * @returns {Promise<{detections: Array<Detection>, barcodes: Array<Object>, frameImage: ?string}>}
+   *   One detection per deck (with its crop, for the scan record's photo),
+   *   barcodes that are not in the catalog, and a
+   *   JPEG data URL of spread frames. A known barcode short-circuits
+   *   classification and yields a single {barcode} detection; a gated frame
+   *   yields no detections and a `skipped` {quality, outline}
+   */
+  async recognize(frame, options = {}) {
+    // Anything a failed or buggy step leaves behind is freed with the scope
+    tf.engine().startScope();
+    try {
+      return await this.recognizeFrame(frame, options);
+    } finally {
+      tf.engine().endScope();
+      this.checkTensorLeaks();
+    }
+  }
+  
+  /**
+   * Compute the embedding of a deck for enrollment
+   * @param {ImageBitmap|ImageData} frame Captured frame or stored sample
+   * @param {Object} [options] Embedding options
+   * @param {boolean} [options.localize=true] Find and crop the deck first
+   * @returns {Promise<{embedding: Float32Array, image: string}>} Embedding and
+   *   a JPEG data URL of the crop it was computed from
+   */
+  async embed(frame, options = {}) {
+    if (!this.embeddingNode) {
+      throw new Error('The active model has no embedding output configured');
+    }
+    
+    const image = toImageData(frame);
+    const crop = options.localize === false ? image : localizeDeck(image).crop;
+    const { embedding } = await this.runModel(crop);
+    
+    return { embedding, image: await toDataURL(crop, { maxSide: 320 }) };
+  }
+  
+  /**
+   * Release the model and OCR worker
+   */
+  async dispose() {
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+    
+    if (this.inputScale) {
+      tf.dispose([this.inputScale, this.inputOffset]);
+      this.inputScale = null;
+      this.inputOffset = null;
+    }
+    
+    if (this.ocrWorker) {
+      await this.ocrWorker.terminate();
+      this.ocrWorker = null;
+      this.ocrLanguages = null;
+    }
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Start a fresh Tesseract worker with the given languages; several
+   * languages are recognized at once, e.g. 'eng+chi_tra'
+   * @param {string} langPath Tesseract language data path
+   * @param {{languages: Array<string>, custom: ?{code: string, url: string}}} ocr
+   *   Stock languages and the custom pack
+   * @returns {Promise<?string>} Failure message, or null if OCR is ready
+   * @private
+   */
+  async startOcr(langPath, ocr) {
+    if (this.ocrWorker) {
+      await this.ocrWorker.terminate();
+      this.ocrWorker = null;
+      this.ocrLanguages = null;
+    }
+    
+    const worker = createWorker({
+      langPath: langPath,
+      logger: m => console.debug(m),
+      errorHandler: err => console.error(err)
+    });
+    
+    try {
+      await worker.load();
+      
+      // The custom pack is stored by the app rather than served, so it goes
+      // straight into Tesseract's file system
+      if (ocr.custom) {
+        await worker.FS('writeFile', [
+          `${ocr.custom.code}.traineddata`,
+          await this.readCustomTraineddata(ocr.custom.url)
+        ]);
+      }
+      
+      await worker.loadLanguage(ocr.languages.join('+'));
+      await worker.initialize(ocrLanguageString(ocr));
+    } catch (error) {
+      console.error('OCR failed to load:', error);
+      worker.terminate();
+      return error.message || String(error);
+    }
+    
+    this.ocrWorker = worker;
+    this.ocrLanguages = ocrLanguageString(ocr);
+    return null;
+  }
+  
+  /**
+   * Read the custom traineddata file from the language pack cache
+   * @param {string} url Cache key of the file
+   * @returns {Promise<Uint8Array>} File contents
+   * @private
+   */
+  async readCustomTraineddata(url) {
+    const cache = await caches.open(TESSDATA_CACHE);
+    const response = await cache.match(url);
+    if (!response) {
+      throw new Error('Custom traineddata is not installed');
+    }
+    
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  
+  /**
+   * Recognize one frame; the body of recognize, inside its tensor scope
+   * @param {ImageBitmap|ImageData} frame Captured frame
+   * @param {Object} options Recognition options
+   * @returns {Promise<Object>} Recognition response
+   * @private
+   */
+  async recognizeFrame(frame, options) {
+    const image = toImageData(frame);
+    const spread = options.mode === 'spread';
+    
+    // A catalog barcode is a near-certain identification
+    let barcodes = [];
+    if (!spread) {
+      barcodes = await decodeBarcodes(image);
+      const known = barcodes.find(b => this.knownBarcodes.has(b.value));
+      if (known) {
+        return {
+          detections: [{ barcode: known, crop: image, outline: null, boundingBox: null }],
+          barcodes: [],
+          frameImage: null
+        };
+      }
+    }
+    
+    const regions = spread ? localizeDecks(image) : [localizeDeck(image)];
+    const assessed = regions.map(region => ({
+      ...region,
+      quality: assessFrameQuality(image, region.outline, { checkCoverage: !spread })
+    }));
+    
+    // Poor frames would only produce confident-looking wrong answers
+    if (!spread && options.qualityGate && !assessed[0].quality.acceptable) {
+      return {
+        detections: [],
+        barcodes: barcodes,
+        frameImage: null,
+        skipped: { quality: assessed[0].quality, outline: assessed[0].outline }
+      };
+    }
+    
+    const detections = [];
+    for (const { crop, outline, boundingBox, quality } of assessed) {
+      try {
+        const detection = await this.recognizeCrop(crop, options.topK || 3);
+        detections.push({ ...detection, crop, outline, quality, boundingBox: boundingBox || null });
+      } catch (error) {
+        // One unreadable deck should not sink the rest of a spread
+        if (!spread) throw error;
+        console.error('Spread deck processing error:', error);
+      }
+    }
+    
+    return {
+      detections: detections,
+      barcodes: barcodes,
+      frameImage: spread ? await toDataURL(image) : null
+    };
+  }
+  
+  /**
+   * Pick the fastest backend that initializes, timing the loaded model on each
+   * @param {Array<string>} backends Backends to try, in order of preference
+   * @param {?Object} choice Result of an earlier benchmark
+   * @private
+   */
+  async selectBackend(backends, choice) {
+    if (choice && await this.trySetBackend(choice.backend)) {
+      this.diagnostics.backend = choice.backend;
+      this.diagnostics.benchmarks = choice.benchmarks;
+      return;
+    }
+    
+    const input = tf.zeros([1, INPUT_SIZE, INPUT_SIZE, 3]);
+    const benchmarks = {};
+    
+    try {
+      for (const name of backends) {
+        if (!await this.trySetBackend(name)) {
+          benchmarks[name] = null;
+          continue;
+        }
+        
+        try {
+          // The first run compiles shaders or kernels, so it isn't timed
+          await this.timeInference(input);
+          benchmarks[name] = Math.min(
+            await this.timeInference(input),
+            await this.timeInference(input)
+          );
+        } catch (error) {
+          console.warn(`Backend ${name} failed to run the model:`, error);
+          benchmarks[name] = null;
+        }
+      }
+    } finally {
+      input.dispose();
+    }
+    
+    const timed = Object.keys(benchmarks).filter(name => benchmarks[name] !== null);
+    if (timed.length === 0) {
+      throw new Error(`No TensorFlow.js backend could run the model (tried ${backends.join(', ')})`);
+    }
+    
+    const fastest = timed.reduce((best, name) => (benchmarks[name] < benchmarks[best] ? name : best));
+    await tf.setBackend(fastest);
+    
+    this.diagnostics.backend = fastest;
+    this.diagnostics.benchmarks = benchmarks;
+  }
+  
+  /**
+   * Switch to a backend if it can be initialized here
+   * @param {string} name Backend name
+   * @returns {Promise<boolean>} True if it is now active
+   * @private
+   */
+  async trySetBackend(name) {
+    try {
+      return await tf.setBackend(name) && tf.getBackend() === name;
+    } catch (error) {
+      console.warn(`Backend ${name} unavailable:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Time one model run, including reading the result back
+   * @param {tf.Tensor4D} input Model input
+   * @returns {Promise<number>} Milliseconds
+   * @private
+   */
+  async timeInference(input) {
+    const start = performance.now();
+    const outputs = tf.tidy(() => this.executeModel(input));
+    try {
+      await Promise.all(outputs.map(output => output.data()));
+    } finally {
+      tf.dispose(outputs);
+    }
+    
+    return performance.now() - start;
+  }
+  
+  /**
+   * Make sure the graph has the configured embedding node. Without it
+   * classification still works through plain predict, but enrollment is
+   * unavailable
+   * @private
+   */
+  checkEmbeddingNode() {
+    if (this.embeddingNode) {
+      try {
+        tf.tidy(() => {
+          this.executeModel(tf.zeros([1, INPUT_SIZE, INPUT_SIZE, 3]));
+        });
+      } catch (error) {
+        console.error(`Embedding node ${this.embeddingNode} is not in the model, enrollment disabled:`, error);
+        this.embeddingNode = null;
+      }
+    }
+    
+    this.diagnostics.enrollmentAvailable = !!this.embeddingNode;
+  }
+  
+  /**
+   * Run the graph once so the first real scan doesn't pay for compilation,
+   * and note the tensor count the watchdog compares against
+   * @private
+   */
+  warmUp() {
+    if (this.inputScale) {
+      tf.dispose([this.inputScale, this.inputOffset]);
+    }
+    
+    // Created once and kept for every frame
+    this.inputScale = tf.keep(tf.scalar(127.5));
+    this.inputOffset = tf.keep(tf.scalar(1));
+    
+    const start = performance.now();
+    tf.tidy(() => {
+      const outputs = this.executeModel(tf.zeros([1, INPUT_SIZE, INPUT_SIZE, 3]));
+      outputs.forEach(output => output.dataSync());
+    });
+    
+    this.diagnostics.warmupMs = performance.now() - start;
+    this.diagnostics.tensorBaseline = tf.memory().numTensors;
+  }
+  
+  /**
+   * Warn when tensors pile up between recognitions; they would eventually
+   * exhaust GPU memory and crash mobile Safari
+   * @private
+   */
+  checkTensorLeaks() {
+    const leaked = tf.memory().numTensors - this.diagnostics.tensorBaseline;
+    
+    if (leaked > TENSOR_LEAK_LIMIT) {
+      this.diagnostics.leakWarnings++;
+      console.warn(`Tensor watchdog: ${leaked} tensors outlived recognition`);
+      
+      // Report each new level of leakage only once
+      this.diagnostics.tensorBaseline = tf.memory().numTensors;
+    }
+  }
+  
+  /**
+   * Execute the graph on a preprocessed batch
+   * @param {tf.Tensor4D} input Model input
+   * @returns {Array<tf.Tensor>} Class scores, then the embedding if configured
+   * @private
+   */
+  executeModel(input) {
+    if (!this.embeddingNode) {
+      return [this.model.predict(input)];
+    }
+    
+    const [features, predictions] = this.model.execute(
+      input,
+      [this.embeddingNode, this.model.outputNodes[0]]
+    );
+    return [predictions, features];
+  }
+  
+  /**
+   * Classify, hash and read a front-facing deck crop
+   * @param {ImageData} crop Deck crop
+   * @param {number} topK Number of top predictions to rank
+   * @returns {Promise<Object>} Raw predictions, top indices, hashes and text
+   * @private
+   */
+  async recognizeCrop(crop, topK) {
+    // Run inference; in OCR-only mode the hashes and text have to do
+    const { predictions: resultsArray, embedding } = this.model ?
+      await this.runModel(crop) : { predictions: null, embedding: null };
+    
+    // Extract text from the crop for verification against the catalog
+    const textRegions = await this.readTextRegions(crop);
+    
+    return {
+      predictions: resultsArray,
+      embedding: embedding,
+      topIndices: resultsArray ? this.getTopPredictionIndices(resultsArray, topK) : [],
+      hashes: computePerceptualHashes(crop),
+      text: textRegions.map(region => region.text).join('\n'),
+      textRegions: textRegions
+    };
+  }
+  
+  /**
+   * OCR only the text-like regions of a crop, so box art doesn't turn into
+   * noise that drowns the manufacturer and casino names
+   * @param {ImageData} crop Deck crop
+   * @returns {Promise<Array<{box: Object, text: string, confidence: number}>>}
+   *   Text per region in reading order; boxes are normalized to the crop
+   * @private
+   */
+  async readTextRegions(crop) {
+    if (!this.ocrWorker) return [];
+    
+    const input = await this.toOcrInput(crop);
+    const boxes = findTextRegions(crop);
+    
+    // Nothing text-like found: read the whole crop as before
+    if (boxes.length === 0) {
+      const { data } = await this.ocrWorker.recognize(input);
+      return [{
+        box: { x: 0, y: 0, width: 1, height: 1 },
+        text: data.text.trim(),
+        confidence: data.confidence
+      }];
+    }
+    
+    const regions = [];
+    for (const box of boxes) {
+      const { data } = await this.ocrWorker.recognize(input, {
+        rectangle: { left: box.x, top: box.y, width: box.width, height: box.height }
+      });
+      const text = data.text.trim();
+      if (!text) continue;
+      
+      regions.push({
+        box: {
+          x: box.x / crop.width,
+          y: box.y / crop.height,
+          width: box.width / crop.width,
+          height: box.height / crop.height
+        },
+        text: text,
+        confidence: data.confidence
+      });
+    }
+    
+    return regions;
+  }
+  
+  /**
+   * Run the model on a crop, reading the embedding in the same pass
+   * @param {ImageData} crop Deck crop
+   * @returns {Promise<{predictions: Float32Array, embedding: ?Float32Array}>}
+   *   Class scores and the L2-normalized embedding, if configured
+   * @private
+   */
+  async runModel(crop) {
+    const start = performance.now();
+    
+    // Intermediate tensors are freed by tidy, even when inference throws
+    const outputs = tf.tidy(() => this.executeModel(this.preprocessImage(tf.browser.fromPixels(crop))));
+    
+    try {
+      const [resultsArray, featureArray] = await Promise.all(outputs.map(output => output.data()));
+      this.recordInferenceTime(performance.now() - start);
+      
+      if (!featureArray) {
+        return { predictions: resultsArray, embedding: null };
+      }
+      
+      // Unit length, so matching is a plain dot product
+      const norm = Math.sqrt(featureArray.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return { predictions: resultsArray, embedding: featureArray.map(v => v / norm) };
+    } finally {
+      tf.dispose(outputs);
+    }
+  }
+  
+  /**
+   * Track inference latency for diagnostics
+   * @param {number} ms Duration of the last inference
+   * @private
+   */
+  recordInferenceTime(ms) {
+    const average = this.diagnostics.averageInferenceMs;
+    
+    this.diagnostics.lastInferenceMs = ms;
+    this.diagnostics.averageInferenceMs = average === null ? ms : average * 0.9 + ms * 0.1;
+  }
+  
+  /**
+   * Check a download against its manifest SHA-256
+   * @param {ArrayBuffer} buffer Downloaded bytes
+   * @param {string} expected Expected hex digest
+   * @param {string} label What was downloaded, for the error message
+   * @private
+   */
+  async verifyChecksum(buffer, expected, label) {
+    if (!expected) {
+      throw new Error(`Missing checksum for ${label}`);
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    
+    if (hex !== expected.toLowerCase()) {
+      throw new Error(`Checksum mismatch for ${label}`);
+    }
+  }
+  
+  /**
+   * Encode a crop for Tesseract, which cannot read canvases off the DOM
+   * @param {ImageData} crop Deck crop
+   * @returns {Promise<string>} PNG data URL
+   * @private
+   */
+  async toOcrInput(crop) {
+    return toDataURL(crop, { maxSide: Math.max(crop.width, crop.height), type: 'image/png' });
+  }
+  
+  /**
+   * Preprocess image for the model; call inside tf.tidy
+   * @param {tf.Tensor3D} tensor Image tensor
+   * @returns {tf.Tensor4D} Preprocessed tensor
+   * @private
+   */
+  preprocessImage(tensor) {
+    // Resize to model input size
+    const resized = tf.image.resizeBilinear(tensor, [INPUT_SIZE, INPUT_SIZE]);
+    
+    // Normalize pixel values to [-1, 1]
+    const normalized = resized.div(this.inputScale).sub(this.inputOffset);
+    
+    // Expand dimensions to create batch of 1
+    const batched = normalized.expandDims(0);
+    
+    return batched;
+  }
+  
+  /**
+   * Get indices of the top predictions, highest score first
+   * @param {Float32Array} predictions Prediction array
+   * @param {number} k Number of indices to return
+   * @returns {number[]} Indices of the top predictions
+   * @private
+   */
+  getTopPredictionIndices(predictions, k) {
+    const indices = Array.from(predictions.keys());
+    indices.sort((a, b) => predictions[b] - predictions[a]);
+    
+    return indices.slice(0, Math.max(1, k));
+  }
+}
+
+/**
+ * Tesseract language string for an OCR configuration
+ * @param {{languages: Array<string>, custom: ?{code: string}}} ocr OCR configuration
+ * @returns {string} Languages joined with '+', custom pack last
+ */
+function ocrLanguageString(ocr) {
+  return ocr.languages.concat(ocr.custom ? [ocr.custom.code] : []).join('+');
+}
+
+/**
+ * Tag a startup failure with the component that caused it
+ * @param {string} component 'model' or 'labels'
+ * @param {Error} error Original error
+ * @returns {Error} Tagged error
+ */
+function componentError(component, error) {
+  const tagged = new Error(`${component} failed to load: ${error.message || error}`);
+  tagged.component = component;
+  return tagged;
+}
+
+export { RecognitionPipeline };
+
+// ------------------------------------------------------
+// src/services/RecognitionWorkerClient.js
+// ------------------------------------------------------
+
+/**
+ * RecognitionWorkerClient - Promise wrapper around the recognition worker's
+ * message API. Frames offered while the worker is busy are dropped rather
+ * than queued, so results never lag behind the camera
+ */
+class RecognitionWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.pending = new Map();
+    this.busy = false;
+  }
+  
+  /**
+   * Start the worker (once) and load the pipeline inside it
+   * @param {Object} config RecognitionPipeline configuration
+   * @returns {Promise<{labels: Array<Object>, diagnostics: Object, ocrLanguages: ?string, ocrError: ?string}>}
+   *   Loaded labels, diagnostics, OCR languages and the OCR failure, if any
+   */
+  async initialize(config) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/recognition.worker.js', import.meta.url));
+      this.worker.onmessage = event => this.handleMessage(event.data);
+      this.worker.onerror = event => this.failAll(new Error(event.message || 'Recognition worker crashed'));
+    }
+    
+    return this.request('init', config);
+  }
+  
+  /**
+   * Download, verify and store a model version
+   * @param {Object} entry Model manifest entry with absolute URLs
+   * @returns {Promise<{labels: Array<Object>}>} Labels for the version
+   */
+  async installModel(entry) {
+    return this.request('installModel', entry);
+  }
+  
+  /**
+   * Delete a stored model version
+   * @param {string} version Model version
+   */
+  async removeModel(version) {
+    return this.request('removeModel', { version });
+  }
+  
+  /**
+   * Recognize a captured frame
+   * @param {ImageBitmap} frame Frame to recognize; ownership passes to the worker
+   * @param {Object} options Recognition options
+   * @param {boolean} [dropIfBusy=false] Close the frame and resolve null
+   *   instead of waiting when a frame is already being recognized
+   * @returns {Promise<?Object>} Worker result, or null if the frame was dropped
+   */
+  async recognize(frame, options, dropIfBusy = false) {
+    if (this.busy && dropIfBusy) {
+      frame.close();
+      return null;
+    }
+    
+    this.busy = true;
+    try {
+      return await this.request('recognize', { frame, options }, [frame]);
+    } finally {
+      this.busy = false;
+    }
+  }
+  
+  /**
+   * Restart OCR with another set of languages
+   * @param {Object} config Language data path and OCR languages
+   * @returns {Promise<{ocrLanguages: ?string, ocrError: ?string}>} Languages
+   *   in use and the failure, if any
+   */
+  async configureOcr(config) {
+    return this.request('configureOcr', config);
+  }
+  
+  /**
+   * Get the backend, benchmark timings and tensor memory of the worker
+   * @returns {Promise<Object>} Diagnostics
+   */
+  async getDiagnostics() {
+    return this.request('diagnostics');
+  }
+  
+  /**
+   * Send the catalog barcodes that short-circuit classification
+   * @param {Array<string>} codes Normalized barcode values
+   * @returns {Promise<void>}
+   */
+  async setKnownBarcodes(codes) {
+    return this.request('setKnownBarcodes', { codes });
+  }
+  
+  /**
+   * Compute a deck embedding for enrollment
+   * @param {ImageBitmap} frame Frame or sample image; ownership passes to the worker
+   * @param {Object} [options] Embedding options
+   * @returns {Promise<{embedding: Float32Array, image: string}>} Embedding and crop
+   */
+  async embed(frame, options = {}) {
+    return this.request('embed', { frame, options }, [frame]);
+  }
+  
+  /**
+   * Check whether a frame is being recognized
+   * @returns {boolean} True while the worker is busy
+   */
+  isBusy() {
+    return this.busy;
+  }
+  
+  /**
+   * Release the pipeline and stop the worker
+   */
+  async terminate() {
+    if (!this.worker) return;
+    
+    try {
+      await this.request('dispose');
+    } finally {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+  
+  // ---------- Private methods ----------
+  
+  /**
+   * Send a request to the worker
+   * @param {string} type Message type
+   * @param {Object} [payload] Message payload
+   * @param {Transferable[]} [transfer] Objects to transfer
+   * @returns {Promise<*>} Worker response
+   * @private
+   */
+  request(type, payload, transfer = []) {
+    const id = this.nextRequestId++;
+    
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+  
+  /**
+   * Settle the request a worker response belongs to
+   * @param {{id: number, result: *, error: ?string, component: ?string}} message
+   *   Worker response; component names the part of the pipeline that failed
+   * @private
+   */
+  handleMessage({ id, result, error, component }) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    
+    this.pending.delete(id);
+    if (error) {
+      const failure = new Error(error);
+      failure.component = component;
+      pending.reject(failure);
+    } else {
+      pending.resolve(result);
+    }
+  }
+  
+  /**
+   * Reject every outstanding request
+   * @param {Error} error Failure reason
+   * @private
+   */
+  failAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+}
+
+export { RecognitionWorkerClient };
+
+// ------------------------------------------------------
+// src/utils/deckLocalization.js
+// ------------------------------------------------------
+
+/**
+ * Deck localization - finds the deck or tuck box in a camera frame and
+ * warps it to a front-facing rectangle for classification and OCR
+ */
+
+const DETECTION_SIZE = 320;
+const MIN_AREA_RATIO = 0.04;
+const MAX_AREA_RATIO = 0.95;
+const MIN_RECTANGULARITY = 0.8;
+const TEXT_DETECTION_SIZE = 480;
+
+/**
+ * Create a canvas, preferring a DOM canvas when one is available
+ * @param {number} width Canvas width
+ * @param {number} height Canvas height
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+ */
+export function createCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  
+  return new OffscreenCanvas(width, height);
+}
+
+/**
+ * Create an empty image, falling back to a plain object outside the browser
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @returns {ImageData} Image data
+ */
+export function createImageData(width, height) {
+  if (typeof ImageData !== 'undefined') {
+    return new ImageData(width, height);
+  }
+  
+  return { data: new Uint8ClampedArray(width * height * 4), width, height };
+}
+
+/**
+ * Read the pixels of an image source
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData} source Image source
+ * @returns {ImageData} Pixel data
+ */
+export function toImageData(source) {
+  if (source.data && source.width && source.height) {
+    return source;
+  }
+  
+  const width = source.videoWidth || source.naturalWidth || source.width;
+  const height = source.videoHeight || source.naturalHeight || source.height;
+  const ctx = createCanvas(width, height).getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  
+  return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Draw pixel data onto a canvas (for consumers such as Tesseract)
+ * @param {ImageData} imageData Pixel data
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+ */
+export function imageDataToCanvas(imageData) {
+  const canvas = createCanvas(imageData.width, imageData.height);
+  const ctx = canvas.getContext('2d');
+  const pixels = imageData instanceof ImageData ? imageData :
+    new ImageData(imageData.data, imageData.width, imageData.height);
+  ctx.putImageData(pixels, 0, 0);
+  
+  return canvas;
+}
+
+/**
+ * Encode pixel data as a data URL, downscaled to fit `maxSide`
+ * @param {ImageData} imageData Pixel data
+ * @param {Object} [options] Encoding options
+ * @param {number} [options.maxSide=1024] Longest side of the encoded image
+ * @param {string} [options.type='image/jpeg'] Image MIME type
+ * @param {number} [options.quality=0.8] JPEG quality
+ * @returns {Promise<string>} Data URL
+ */
+export async function toDataURL(imageData, { maxSide = 1024, type = 'image/jpeg', quality = 0.8 } = {}) {
+  const scale = Math.min(1, maxSide / Math.max(imageData.width, imageData.height));
+  const canvas = createCanvas(
+    Math.round(imageData.width * scale),
+    Math.round(imageData.height * scale)
+  );
+  canvas.getContext('2d').drawImage(imageDataToCanvas(imageData), 0, 0, canvas.width, canvas.height);
+  
+  if (canvas.toDataURL) {
+    return canvas.toDataURL(type, quality);
+  }
+  
+  // OffscreenCanvas only encodes to Blob
+  return blobToDataURL(await canvas.convertToBlob({ type, quality }));
+}
+
+/**
+ * Find the deck and return a front-facing crop of it
+ * @param {ImageData} imageData Camera frame
+ * @param {Object} [options] Detection options
+ * @param {number} [options.maxSide=640] Longest side of the warped crop
+ * @returns {{crop: ImageData, outline: ?DeckOutline}} Crop and outline; the
+ *   crop is the whole frame when no deck is found
+ */
+export function localizeDeck(imageData, options = {}) {
+  const quad = detectDeckOutline(imageData, options);
+  
+  if (!quad) {
+    return { crop: imageData, outline: null };
+  }
+  
+  return cropQuad(imageData, quad, options.maxSide || 640);
+}
+
+/**
+ * Find every deck in a table spread and return a front-facing crop of each
+ * @param {ImageData} imageData Photo or camera frame of the spread
+ * @param {Object} [options] Detection options
+ * @param {number} [options.maxDecks=40] Maximum number of decks to return
+ * @param {number} [options.minAreaRatio=0.004] Smallest accepted share of the frame
+ * @param {number} [options.maxSide=640] Longest side of each warped crop
+ * @returns {Array<{crop: ImageData, outline: DeckOutline, boundingBox: Object}>}
+ *   One entry per deck in reading order (top to bottom, left to right)
+ */
+export function localizeDecks(imageData, options = {}) {
+  const quads = findQuads(imageData, { minAreaRatio: options.minAreaRatio || 0.004 });
+  
+  // Drop quads nested inside a larger one (box art, card faces, labels)
+  const decks = [];
+  for (const quad of quads) {
+    const center = centroid(quad.corners);
+    if (!decks.some(deck => containsPoint(deck.corners, center))) {
+      decks.push(quad);
+    }
+    if (decks.length >= (options.maxDecks || 40)) break;
+  }
+  
+  // Bucket into eight rows so slightly skewed decks still read left to right
+  const row = deck => Math.floor(deck.boundingBox.y * 8);
+  return decks
+    .map(quad => cropQuad(imageData, quad, options.maxSide || 640))
+    .sort((a, b) => row(a) - row(b) || a.boundingBox.x - b.boundingBox.x);
+}
+
+/**
+ * Detect the most prominent deck-shaped quadrilateral in a frame
+ * @param {ImageData} imageData Camera frame
+ * @param {Object} [options] Detection options
+ * @param {number} [options.minAreaRatio] Smallest accepted share of the frame
+ * @returns {?{corners: Array<{x: number, y: number}>, score: number}} Corners
+ *   in frame pixels ordered TL, TR, BR, BL, or null if nothing was found
+ */
+export function detectDeckOutline(imageData, options = {}) {
+  const quads = findQuads(imageData, options);
+  return quads.length > 0 ? quads[0] : null;
+}
+
+/**
+ * Find deck-shaped quadrilaterals in a frame, largest first
+ * @param {ImageData} imageData Camera frame
+ * @param {Object} [options] Detection options
+ * @returns {Array<{corners: Array<{x: number, y: number}>, score: number}>} Quads
+ */
+export function findQuads(imageData, options = {}) {
+  const minAreaRatio = options.minAreaRatio || MIN_AREA_RATIO;
+  const scale = Math.min(1, DETECTION_SIZE / Math.max(imageData.width, imageData.height));
+  const { gray, width, height } = toGrayscale(imageData, scale);
+  const mask = dilate(thresholdEdges(edgeMagnitude(boxBlur(gray, width, height))), width, height);
+  const frameArea = width * height;
+  
+  const quads = [];
+  for (const component of labelComponents(mask, width, height)) {
+    const bboxArea = (component.maxX - component.minX + 1) * (component.maxY - component.minY + 1);
+    if (bboxArea < frameArea * minAreaRatio || bboxArea > frameArea * MAX_AREA_RATIO) continue;
+    
+    const hull = convexHull(component.points);
+    if (hull.length < 4) continue;
+    
+    const corners = orderCorners(simplifyPolygon(hull, 4));
+    const quadArea = polygonArea(corners);
+    const score = quadArea / polygonArea(hull);
+    if (quadArea < frameArea * minAreaRatio || score < MIN_RECTANGULARITY) continue;
+    
+    quads.push({
+      corners: corners.map(p => ({ x: p.x / scale, y: p.y / scale })),
+      score: Math.min(1, score),
+      area: quadArea / frameArea
+    });
+  }
+  
+  return quads.sort((a, b) => b.area - a.area);
+}
+
+/**
+ * Find text-like regions (lines of printing) on a deck crop
+ * @param {ImageData} imageData Front-facing deck crop
+ * @param {Object} [options] Detection options
+ * @param {number} [options.maxRegions=6] Maximum number of regions to return
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ *   Padded boxes in crop pixels, top to bottom
+ */
+export function findTextRegions(imageData, options = {}) {
+  const scale = Math.min(1, TEXT_DETECTION_SIZE / Math.max(imageData.width, imageData.height));
+  const { gray, width, height } = toGrayscale(imageData, scale);
+  
+  // Letters are dense strokes on a line: smear edges sideways until they join
+  const edges = thresholdEdges(edgeMagnitude({ gray, width, height }));
+  const mask = dilateRows(edges, width, height, Math.max(2, Math.round(width * 0.02)));
+  
+  const regions = [];
+  for (const component of labelComponents(mask, width, height)) {
+    const boxWidth = component.maxX - component.minX + 1;
+    const boxHeight = component.maxY - component.minY + 1;
+    if (boxHeight < height * 0.02 || boxHeight > height * 0.25) continue;
+    if (boxWidth < boxHeight * 1.5 || boxWidth > width * 0.98) continue;
+    
+    // Pad so ascenders, descenders and the first and last letters survive
+    const pad = boxHeight * 0.25;
+    const x = Math.max(0, (component.minX - pad) / scale);
+    const y = Math.max(0, (component.minY - pad) / scale);
+    regions.push({
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round(Math.min(imageData.width - x, (boxWidth + 2 * pad) / scale)),
+      height: Math.round(Math.min(imageData.height - y, (boxHeight + 2 * pad) / scale)),
+      area: boxWidth * boxHeight
+    });
+  }
+  
+  // Keep the largest lines, then read them top to bottom
+  return regions
+    .sort((a, b) => b.area - a.area)
+    .slice(0, options.maxRegions || 6)
+    .sort((a, b) => a.y - b.y)
+    .map(({ x, y, width, height }) => ({ x, y, width, height }));
+}
+
+/**
+ * Warp a quadrilateral region to an upright rectangle
+ * @param {ImageData} imageData Source image
+ * @param {Array<{x: number, y: number}>} corners Corners ordered TL, TR, BR, BL
+ * @param {number} width Output width
+ * @param {number} height Output height
+ * @returns {ImageData} Warped image
+ */
+export function warpQuad(imageData, corners, width, height) {
+  const target = [
+    { x: 0, y: 0 },
+    { x: width - 1, y: 0 },
+    { x: width - 1, y: height - 1 },
+    { x: 0, y: height - 1 }
+  ];
+  const h = computeHomography(target, corners);
+  const output = createImageData(width, height);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const w = h[6] * x + h[7] * y + h[8];
+      const sx = (h[0] * x + h[1] * y + h[2]) / w;
+      const sy = (h[3] * x + h[4] * y + h[5]) / w;
+      sampleBilinear(imageData, sx, sy, output.data, (y * width + x) * 4);
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Pick an output size that preserves the quad's aspect ratio
+ * @param {Array<{x: number, y: number}>} corners Corners ordered TL, TR, BR, BL
+ * @param {number} maxSide Longest output side
+ * @returns {{width: number, height: number}} Output size
+ */
+export function getWarpSize(corners, maxSide) {
+  const [tl, tr, br, bl] = corners;
+  const width = Math.max(distance(tl, tr), distance(bl, br));
+  const height = Math.max(distance(tl, bl), distance(tr, br));
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+// ---------- Private helpers ----------
+
+async function blobToDataURL(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  
+  // Chunked, since spreading a whole image overflows the call stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+function cropQuad(imageData, quad, maxSide) {
+  const { width, height } = getWarpSize(quad.corners, maxSide);
+  
+  // Normalized to [0, 1] so overlays can draw it at any size
+  const corners = quad.corners.map(p => ({
+    x: p.x / imageData.width,
+    y: p.y / imageData.height
+  }));
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  
+  return {
+    crop: warpQuad(imageData, quad.corners, width, height),
+    outline: { corners, score: quad.score },
+    boundingBox: {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    }
+  };
+}
+
+function centroid(points) {
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+}
+
+function containsPoint(polygon, point) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
+function toGrayscale(imageData, scale) {
+  const width = Math.max(1, Math.round(imageData.width * scale));
+  const height = Math.max(1, Math.round(imageData.height * scale));
+  const gray = new Float32Array(width * height);
+  const { data } = imageData;
+  
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(imageData.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(imageData.width - 1, Math.floor(x / scale));
+      const i = (sy * imageData.width + sx) * 4;
+      gray[y * width + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  
+  return { gray, width, height };
+}
+
+function boxBlur(gray, width, height) {
+  const blurred = new Float32Array(gray.length);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          sum += gray[(y + dy) * width + x + dx];
+        }
+      }
+      blurred[y * width + x] = sum / 9;
+    }
+  }
+  
+  return { gray: blurred, width, height };
+}
+
+function edgeMagnitude({ gray, width, height }) {
+  const magnitude = new Float32Array(gray.length);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+                 gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+      const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+                 gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+      magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  
+  return magnitude;
+}
+
+function thresholdEdges(magnitude) {
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < magnitude.length; i++) {
+    sum += magnitude[i];
+    sumSq += magnitude[i] * magnitude[i];
+  }
+  
+  const mean = sum / magnitude.length;
+  const std = Math.sqrt(Math.max(0, sumSq / magnitude.length - mean * mean));
+  const threshold = mean + 1.5 * std;
+  
+  const mask = new Uint8Array(magnitude.length);
+  for (let i = 0; i < magnitude.length; i++) {
+    mask[i] = magnitude[i] > threshold ? 1 : 0;
+  }
+  
+  return mask;
+}
+
+function dilate(mask, width, height) {
+  const dilated = new Uint8Array(mask.length);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (mask[i] || mask[i - 1] || mask[i + 1] || mask[i - width] || mask[i + width]) {
+        dilated[i] = 1;
+      }
+    }
+  }
+  
+  return dilated;
+}
+
+function dilateRows(mask, width, height, radius) {
+  const dilated = new Uint8Array(mask.length);
+  
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let lastSet = -Infinity;
+    
+    // Forward pass spreads right, backward pass spreads left
+    for (let x = 0; x < width; x++) {
+      if (mask[row + x]) lastSet = x;
+      if (x - lastSet <= radius) dilated[row + x] = 1;
+    }
+    lastSet = Infinity;
+    for (let x = width - 1; x >= 0; x--) {
+      if (mask[row + x]) lastSet = x;
+      if (lastSet - x <= radius) dilated[row + x] = 1;
+    }
+  }
+  
+  return dilated;
+}
+
+/**
+ * Label 8-connected components, keeping only each row's outermost pixels
+ * since those are all the convex hull needs
+ */
+function labelComponents(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const components = [];
+  
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    
+    const component = { minX: width, minY: height, maxX: 0, maxY: 0, rows: new Map() };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = components.length + 1;
+    
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      
+      component.minX = Math.min(component.minX, x);
+      component.maxX = Math.max(component.maxX, x);
+      component.minY = Math.min(component.minY, y);
+      component.maxY = Math.max(component.maxY, y);
+      
+      const row = component.rows.get(y);
+      if (!row) {
+        component.rows.set(y, [x, x]);
+      } else {
+        row[0] = Math.min(row[0], x);
+        row[1] = Math.max(row[1], x);
+      }
+      
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          
+          const n = ny * width + nx;
+          if (mask[n] && !labels[n]) {
+            labels[n] = components.length + 1;
+            stack[top++] = n;
+          }
+        }
+      }
+    }
+    
+    component.points = [];
+    component.rows.forEach(([minX, maxX], y) => {
+      component.points.push({ x: minX, y }, { x: maxX, y });
+    });
+    delete component.rows;
+    components.push(component);
+  }
+  
+  return components;
+}
+
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+  
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+  
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Reduce a polygon to `count` vertices by repeatedly dropping the vertex
+ * that contributes the least area (Visvalingam-Whyatt)
+ */
+function simplifyPolygon(polygon, count) {
+  const points = polygon.slice();
+  const triangleArea = (a, b, c) =>
+    Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+  
+  while (points.length > count) {
+    let minIdx = 0;
+    let minArea = Infinity;
+    
+    for (let i = 0; i < points.length; i++) {
+      const prev = points[(i - 1 + points.length) % points.length];
+      const next = points[(i + 1) % points.length];
+      const area = triangleArea(prev, points[i], next);
+      if (area < minArea) {
+        minArea = area;
+        minIdx = i;
+      }
+    }
+    
+    points.splice(minIdx, 1);
+  }
+  
+  return points;
+}
+
+function orderCorners(points) {
+  const { x: cx, y: cy } = centroid(points);
+  
+  // Clockwise from the corner nearest the top-left
+  const sorted = points.slice().sort((a, b) =>
+    Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  let start = 0;
+  sorted.forEach((p, i) => {
+    if (p.x + p.y < sorted[start].x + sorted[start].y) start = i;
+  });
+  
+  return sorted.slice(start).concat(sorted.slice(0, start));
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  
+  return Math.abs(area) / 2;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Solve for the homography that maps each `from` point onto its `to` point
+ */
+function computeHomography(from, to) {
+  const A = [];
+  const b = [];
+  
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    A.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+    b.push(v);
+  }
+  
+  return solveLinearSystem(A, b).concat(1);
+}
+
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => row.concat(b[i]));
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+  
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / m[row][row];
+  }
+  
+  return x;
+}
+
+function sampleBilinear(imageData, x, y, out, offset) {
+  const { data, width, height } = imageData;
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+  
+  for (let c = 0; c < 4; c++) {
+    const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+    const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+    out[offset + c] = top * (1 - fy) + bottom * fy;
+  }
+}
+
+// ------------------------------------------------------
+// src/utils/frameQuality.js
+// ------------------------------------------------------
+
+/**
+ * Frame quality - cheap checks run before classification so blurred, badly
+ * lit or badly framed frames are skipped and the user is told how to fix them
+ */
+
+const ASSESS_SIZE = 192;
+
+const DEFAULT_LIMITS = {
+  minSharpness: 0.35,
+  minBrightness: 0.18,
+  maxBrightness: 0.88,
+  maxGlare: 0.04,
+  minCoverage: 0.12,
+  maxCoverage: 0.9
+};
+
+/**
+ * Assess how usable a frame is for recognizing the deck in it
+ * @param {ImageData} imageData Camera frame
+ * @param {?DeckOutline} outline Detected deck outline (normalized corners)
+ * @param {Object} [options] Assessment options
+ * @param {boolean} [options.checkCoverage=true] Require one deck filling a
+ *   sensible share of the frame (off for table spreads)
+ * @param {Object} [options.limits] Overrides for DEFAULT_LIMITS
+ * @returns {{sharpness: number, brightness: number, glare: number,
+ *   coverage: number, score: number, issues: Array<string>, acceptable: boolean}}
+ *   Metrics in [0, 1] and the problems found: 'no-deck', 'blur', 'dark',
+ *   'bright', 'glare', 'far', 'close' or 'partial'
+ */
+export function assessFrameQuality(imageData, outline, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const checkCoverage = options.checkCoverage !== false;
+  
+  // Measure the deck itself when we know where it is
+  const region = outline ? outlineBounds(outline, imageData) :
+    { x: 0, y: 0, width: imageData.width, height: imageData.height };
+  const { gray, width, height } = sampleGray(imageData, region);
+  
+  const sharpness = measureSharpness(gray, width, height);
+  let sum = 0;
+  let clipped = 0;
+  for (let i = 0; i < gray.length; i++) {
+    sum += gray[i];
+    if (gray[i] >= 250) clipped++;
+  }
+  const brightness = sum / gray.length / 255;
+  const glare = clipped / gray.length;
+  const coverage = outline ? polygonArea(outline.corners) : 0;
+  
+  const issues = [];
+  if (checkCoverage && !outline) issues.push('no-deck');
+  if (sharpness < limits.minSharpness) issues.push('blur');
+  if (brightness < limits.minBrightness) issues.push('dark');
+  if (brightness > limits.maxBrightness) issues.push('bright');
+  if (glare > limits.maxGlare) issues.push('glare');
+  if (checkCoverage && outline) {
+    if (touchesEdge(outline)) {
+      issues.push('partial');
+    } else if (coverage < limits.minCoverage) {
+      issues.push('far');
+    } else if (coverage > limits.maxCoverage) {
+      issues.push('close');
+    }
+  }
+  
+  // Each metric scored against its limit; the weakest one dominates
+  const exposure = Math.max(0, 1 - Math.abs(brightness - 0.5) * 2);
+  const glareScore = Math.max(0, 1 - glare / (limits.maxGlare * 2));
+  const parts = [sharpness, exposure, glareScore];
+  if (checkCoverage) {
+    parts.push(outline ? Math.min(1, coverage / limits.minCoverage) : 0);
+  }
+  const score = Math.min(...parts) * 0.6 + parts.reduce((a, b) => a + b, 0) / parts.length * 0.4;
+  
+  return {
+    sharpness: round(sharpness),
+    brightness: round(brightness),
+    glare: round(glare),
+    coverage: round(coverage),
+    score: round(score),
+    issues: issues,
+    acceptable: issues.length === 0
+  };
+}
+
+// ---------- Private helpers ----------
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function outlineBounds(outline, imageData) {
+  const xs = outline.corners.map(p => p.x * imageData.width);
+  const ys = outline.corners.map(p => p.y * imageData.height);
+  const x = Math.max(0, Math.floor(Math.min(...xs)));
+  const y = Math.max(0, Math.floor(Math.min(...ys)));
+  
+  return {
+    x: x,
+    y: y,
+    width: Math.max(1, Math.min(imageData.width, Math.ceil(Math.max(...xs))) - x),
+    height: Math.max(1, Math.min(imageData.height, Math.ceil(Math.max(...ys))) - y)
+  };
+}
+
+function sampleGray(imageData, region) {
+  const scale = Math.min(1, ASSESS_SIZE / Math.max(region.width, region.height));
+  const width = Math.max(3, Math.round(region.width * scale));
+  const height = Math.max(3, Math.round(region.height * scale));
+  const gray = new Float32Array(width * height);
+  const { data } = imageData;
+  
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(imageData.height - 1, region.y + Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(imageData.width - 1, region.x + Math.floor(x / scale));
+      const i = (sy * imageData.width + sx) * 4;
+      gray[y * width + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  
+  return { gray, width, height };
+}
+
+/**
+ * Variance of the Laplacian, squashed to [0, 1]; motion blur and missed
+ * focus remove the fine detail it measures
+ */
+function measureSharpness(gray, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += laplacian;
+      sumSq += laplacian * laplacian;
+      count++;
+    }
+  }
+  
+  const variance = sumSq / count - (sum / count) * (sum / count);
+  return variance / (variance + 150);
+}
+
+function touchesEdge(outline) {
+  return outline.corners.some(p => p.x < 0.01 || p.y < 0.01 || p.x > 0.99 || p.y > 0.99);
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  
+  return Math.abs(area) / 2;
+}
+
+// ------------------------------------------------------
+// src/utils/perceptualHash.js
+// ------------------------------------------------------
+
+/**
+ * Perceptual hashing for deck backs - 64-bit DCT hashes that survive
+ * resizing, mild blur and lighting changes, compared by Hamming distance
+ */
+
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// cos((2x + 1) * u * PI / 64) for the low frequencies the hash keeps
+const DCT_TABLE = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Float64Array.from({ length: SAMPLE_SIZE }, (_, x) =>
+    Math.cos((2 * x + 1) * u * Math.PI / (2 * SAMPLE_SIZE))));
+
+const BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Compute the perceptual hash of a deck crop, upright and rotated 180°,
+ * since a deck back can be presented either way up
+ * @param {ImageData} imageData Deck crop (landscape crops are turned portrait)
+ * @returns {string[]} Two 16-character hex hashes
+ */
+export function computePerceptualHashes(imageData) {
+  const grid = toGrayGrid(imageData, SAMPLE_SIZE);
+  
+  return [hashGrid(grid), hashGrid(grid.slice().reverse())];
+}
+
+/**
+ * Compute the perceptual hash of a deck crop
+ * @param {ImageData} imageData Deck crop
+ * @returns {string} 16-character hex hash
+ */
+export function computePerceptualHash(imageData) {
+  return computePerceptualHashes(imageData)[0];
+}
+
+/**
+ * Count differing bits between two hex hashes. Hashes of different lengths
+ * are not comparable and get the largest possible distance
+ * @param {string} a First hash
+ * @param {string} b Second hash
+ * @returns {number} Hamming distance (0-64 for 64-bit hashes)
+ */
+export function hammingDistance(a, b) {
+  if (a.length !== b.length) {
+    return 4 * Math.max(a.length, b.length);
+  }
+  
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  
+  return distance;
+}
+
+// ---------- Private helpers ----------
+
+/**
+ * Area-average the image down to a size x size luminance grid, turning
+ * landscape images 90° clockwise so every deck is hashed portrait
+ */
+function toGrayGrid(imageData, size) {
+  const { data, width, height } = imageData;
+  const rotate = width > height;
+  const sums = new Float64Array(size * size);
+  const counts = new Uint32Array(size * size);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = rotate ? (height - 1 - y) / height : x / width;
+      const v = rotate ? x / width : y / height;
+      const cell = Math.min(size - 1, Math.floor(v * size)) * size +
+                   Math.min(size - 1, Math.floor(u * size));
+      const i = (y * width + x) * 4;
+      
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+  
+  return Array.from(sums, (sum, i) => (counts[i] ? sum / counts[i] : 0));
+}
+
+function hashGrid(grid) {
+  const coefficients = [];
+  
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) {
+        const row = y * SAMPLE_SIZE;
+        for (let x = 0; x < SAMPLE_SIZE; x++) {
+          sum += grid[row + x] * DCT_TABLE[u][x] * DCT_TABLE[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  
+  // Median of the AC terms; the DC term only reflects overall brightness
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  
+  let hash = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hash += nibble.toString(16);
+  }
+  
+  return hash;
+}
+
+// ------------------------------------------------------
+// src/utils/barcodeDecoder.js
+// ------------------------------------------------------
+
+import {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer
+} from '@zxing/library';
+
+/* global BarcodeDetector */
+
+/**
+ * Barcode decoder - reads UPC/EAN and manufacturer codes from a frame with
+ * the BarcodeDetector API, falling back to ZXing where it is missing
+ */
+
+// BarcodeDetector format names; ZXing names map onto them by lowercasing
+const FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39', 'itf', 'qr_code', 'data_matrix'];
+
+let detectorPromise = null;
+let zxingReader = null;
+
+/**
+ * Normalize a barcode so the same code always has the same key; UPC-A is
+ * stored as its EAN-13 equivalent since scanners report either
+ * @param {string} value Decoded value
+ * @returns {string} Normalized value
+ */
+export function normalizeBarcode(value) {
+  const trimmed = value.trim();
+  return /^\d{12}$/.test(trimmed) ? `0${trimmed}` : trimmed;
+}
+
+/**
+ * Decode the barcodes visible in a frame
+ * @param {ImageData} imageData Camera frame
+ * @returns {Promise<Array<{value: string, format: string}>>} Decoded barcodes
+ *   with normalized values
+ */
+export async function decodeBarcodes(imageData) {
+  const detector = await getDetector();
+  
+  if (detector) {
+    const found = await detector.detect(imageData);
+    return found.map(b => ({ value: normalizeBarcode(b.rawValue), format: b.format }));
+  }
+  
+  return decodeWithZxing(imageData);
+}
+
+// ---------- Private helpers ----------
+
+function getDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      if (typeof BarcodeDetector === 'undefined') return null;
+      
+      const supported = await BarcodeDetector.getSupportedFormats();
+      const formats = FORMATS.filter(format => supported.includes(format));
+      
+      return formats.length > 0 ? new BarcodeDetector({ formats }) : null;
+    })().catch(error => {
+      console.error('BarcodeDetector unavailable, using ZXing:', error);
+      return null;
+    });
+  }
+  
+  return detectorPromise;
+}
+
+function decodeWithZxing(imageData) {
+  if (!zxingReader) {
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, FORMATS.map(format => BarcodeFormat[format.toUpperCase()]));
+    zxingReader = new MultiFormatReader();
+    zxingReader.setHints(hints);
+  }
+  
+  const { data, width, height } = imageData;
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  
+  try {
+    const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminance, width, height)));
+    const result = zxingReader.decodeWithState(bitmap);
+    
+    return [{
+      value: normalizeBarcode(result.getText()),
+      format: BarcodeFormat[result.getBarcodeFormat()].toLowerCase()
+    }];
+  } catch (error) {
+    // ZXing signals "no barcode in this frame" by throwing
+    return [];
+  }
+}
+
+// ------------------------------------------------------
+// src/utils/textMatching.js
+// ------------------------------------------------------
+
+/**
+ * Text matching - compares noisy OCR output with catalog names, tolerating
+ * misread characters, split or merged words and alternative names
+ */
+
+// Trade names and abbreviations printed on boxes instead of the catalog name
+const KNOWN_ALIASES = {
+  'united states playing card company': ['uspcc', 'united states playing card', 'us playing card'],
+  'gemaco': ['gemaco inc'],
+  'kem': ['kem playing cards'],
+  'copag': ['copag playing cards'],
+  'cartamundi': ['carta mundi']
+};
+
+// Look-alike digits Tesseract reads inside words
+const DIGIT_CONFUSIONS = { '0': 'o', '1': 'l', '5': 's', '8': 'b' };
+
+/**
+ * Normalize text for comparison: lowercase, no accents or punctuation.
+ * Letters of other scripts are kept, so Chinese casino names still match
+ * @param {string} text Raw text
+ * @returns {string} Space-separated tokens
+ */
+export function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[|]/g, 'l')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Fold character shapes OCR confuses into one spelling, applied to both
+ * sides of a comparison ("Be11agio" and "Bellagio", "Gernini" and "Gemini")
+ * @param {string} token Normalized token
+ * @returns {string} Folded token
+ */
+export function foldConfusions(token) {
+  const letters = /[a-z]/.test(token) ? token.replace(/[0158]/g, c => DIGIT_CONFUSIONS[c]) : token;
+  return letters.replace(/rn/g, 'm').replace(/vv/g, 'w');
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Get built-in aliases for a manufacturer name
+ * @param {string} name Catalog name
+ * @returns {Array<string>} Aliases, empty if none are known
+ */
+export function getKnownAliases(name) {
+  return KNOWN_ALIASES[normalizeText(name || '')] || [];
+}
+
+/**
+ * Find the OCR text closest to a catalog name or one of its aliases
+ * @param {Array<string>} lines OCR text, one entry per region or line
+ * @param {string} expected Catalog name
+ * @param {Object} [options] Matching options
+ * @param {Array<string>} [options.aliases] Alternative names to accept
+ * @returns {{expected: string, matchedAlias: ?string, text: ?string,
+ *   line: number, similarity: number}} Best match; similarity is 1 for an
+ *   exact match and 0 when nothing resembles the name
+ */
+export function matchCatalogText(lines, expected, options = {}) {
+  const best = { expected, matchedAlias: null, text: null, line: -1, similarity: 0 };
+  const names = [expected].concat(options.aliases || []);
+  const lineTokens = lines
+    .flatMap(line => line.split('\n'))
+    .map(line => normalizeText(line).split(' ').filter(Boolean));
+  
+  for (const name of names) {
+    const target = normalizeText(name).split(' ').filter(Boolean);
+    if (target.length === 0) continue;
+    const targetJoined = target.map(foldConfusions).join('');
+    
+    lineTokens.forEach((tokens, line) => {
+      // Compare windows one word shorter and longer than the name, so OCR
+      // that splits or merges words still lines up
+      for (let size = Math.max(1, target.length - 1); size <= target.length + 1; size++) {
+        for (let start = 0; start + size <= tokens.length; start++) {
+          const window = tokens.slice(start, start + size);
+          const joined = window.map(foldConfusions).join('');
+          const similarity = 1 - editDistance(joined, targetJoined) /
+            Math.max(joined.length, targetJoined.length);
+          
+          if (similarity > best.similarity) {
+            best.similarity = similarity;
+            best.text = window.join(' ');
+            best.line = line;
+            best.matchedAlias = name === expected ? null : name;
+          }
+        }
+      }
+    });
+  }
+  
+  return best;
+}
+
+// ------------------------------------------------------
+// src/workers/recognition.worker.js
+// ------------------------------------------------------
+
+/* global globalThis */
+
+import { RecognitionPipeline } from '../services/RecognitionPipeline';
+
+/**
+ * Recognition worker - Hosts the RecognitionPipeline off the main thread.
+ * Every message is {id, type, payload}; every reply is {id, result} or
+ * {id, error}. Messages are handled one at a time: the pipeline's tensor
+ * scopes span awaits, so overlapping requests would free each other's tensors
+ */
+const pipeline = new RecognitionPipeline();
+
+const handlers = {
+  init: payload => pipeline.initialize(payload),
+  recognize: ({ frame, options }) => pipeline.recognize(frame, options),
+  embed: ({ frame, options }) => pipeline.embed(frame, options),
+  setKnownBarcodes: ({ codes }) => pipeline.setKnownBarcodes(codes),
+  configureOcr: payload => pipeline.configureOcr(payload),
+  diagnostics: () => pipeline.getDiagnostics(),
+  installModel: payload => pipeline.installModel(payload),
+  removeModel: ({ version }) => pipeline.removeModel(version),
+  dispose: () => pipeline.dispose()
+};
+
+/**
+ * Run one request and post its reply
+ * @param {{id: number, type: string, payload: Object}} message Request
+ */
+const handleMessage = async ({ id, type, payload }) => {
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    
+    const result = await handler(payload);
+    
+    // Hand prediction and embedding buffers back without copying them
+    const transfer = [];
+    if (result && result.detections) {
+      result.detections.forEach(d => {
+        if (d.predictions) transfer.push(d.predictions.buffer);
+        if (d.crop) transfer.push(d.crop.data.buffer);
+        if (d.embedding) transfer.push(d.embedding.buffer);
+      });
+    } else if (result && result.embedding) {
+      transfer.push(result.embedding.buffer);
+    }
+    globalThis.postMessage({ id, result }, transfer);
+  } catch (error) {
+    globalThis.postMessage({ id, error: error.message, component: error.component });
+  } finally {
+    if (payload && payload.frame && payload.frame.close) {
+      payload.frame.close();
+    }
+  }
+};
+
+// handleMessage never rejects, so the queue keeps going after a failure
+let queue = Promise.resolve();
+
+// Worker globals go through globalThis; CRA's lint rules reject bare `self`
+globalThis.onmessage = event => {
+  queue = queue.then(() => handleMessage(event.data));
+};
+
+// ------------------------------------------------------
+// src/components/ScannerView.jsx
+// ------------------------------------------------------
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DeckScannerService from '../services/DeckScannerService';
+import { FrameScheduler } from '../services/FrameScheduler';
+import ModelStatus from './ModelStatus';
+import ScoringSettings from './ScoringSettings';
+import LanguageSettings from './LanguageSettings';
+import StorageSettings from './StorageSettings';
+import CatalogSettings from './CatalogSettings';
+import CorrectionPicker from './CorrectionPicker';
+
+const MODES = ['single', 'spread', 'guided'];
+
+const MODE_LABELS = {
+  single: 'Single Deck',
+  spread: 'Table Spread',
+  guided: 'Guided Capture'
+};
+
+// What to tell the user about each frame quality problem, most urgent first
+const QUALITY_HINTS = [
+  ['no-deck', 'Place a deck in the scan area'],
+  ['partial', 'Keep the whole deck in view'],
+  ['far', 'Move closer'],
+  ['close', 'Move back a little'],
+  ['blur', 'Hold steady'],
+  ['glare', 'Tilt to reduce glare'],
+  ['dark', 'Find more light'],
+  ['bright', 'Too bright - move out of direct light']
+];
+
+// Guided capture steps, in the order they are asked for
+const GUIDED_STEPS = [
+  { kind: 'box', prompt: 'Show the front of the box', optional: false },
+  { kind: 'back', prompt: 'Show the back of a card', optional: false },
+  { kind: 'face', prompt: 'Show a face card or the ace of spades', optional: true }
+];
+
+const COMPONENT_LABELS = {
+  database: 'Catalog',
+  model: 'Recognition model',
+  labels: 'Model labels',
+  ocr: 'Text recognition'
+};
+
+// Format normalized outline corners as SVG polygon points
+const outlinePoints = outline => outline.corners.map(p => `${p.x},${p.y}`).join(' ');
+
+/**
+ * Show which catalog names were read on the box, and how closely
+ */
+const TextVerification = ({ verification }) => {
+  // Barcode and enrollment matches read no text
+  if (!verification) return null;
+  
+  const fields = [
+    ['Manufacturer', verification.matches.manufacturer, verification.manufacturerVerified],
+    ['Casino', verification.matches.casino, verification.casinoVerified]
+  ].filter(([, match]) => match);
+  
+  return (
+    <ul className="text-verification">
+      {fields.map(([label, match, verified]) => (
+        <li key={label} className={verified ? 'verified' : 'unverified'}>
+          <span className="field-label">{label}: {match.expected}</span>
+          <span className="field-match">
+            {match.text ?
+              `read "${match.text}"${match.matchedAlias ? ` (as ${match.matchedAlias})` : ''} ` +
+              `${(match.similarity * 100).toFixed(0)}%` :
+              'not found'}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Show which scanner components started, and warn when scanning is degraded
+ */
+const ComponentHealth = ({ health }) => (
+  <div className={`component-health ${health.mode || 'unavailable'}`}>
+    {health.mode === 'ocr-only' && (
+      <p className="degraded-notice">
+        OCR-only mode: the recognition model is unavailable, so decks are matched by the
+        names printed on the box. Results are lower confidence and need confirming.
+      </p>
+    )}
+    <ul className="component-list">
+      {Object.entries(health.components).map(([component, { status, error }]) => (
+        <li key={component} className={`component ${status}`} title={error || ''}>
+          {COMPONENT_LABELS[component]}: {status}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+/**
+ * Scanner component - Provides UI for deck scanning
+ */
+const ScannerView = () => {
+  const [initializing, setInitializing] = useState(true);
+  const [initError, setInitError] = useState(null);
+  const [health, setHealth] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [results, setResults] = useState([]);
+  const [cameraPermission, setCameraPermission] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [facingMode, setFacingMode] = useState('environment');
+  const [pendingChoice, setPendingChoice] = useState(null);
+  const [outline, setOutline] = useState(null);
+  const [mode, setMode] = useState('single');
+  const [spreadOutlines, setSpreadOutlines] = useState([]);
+  const [capturingSpread, setCapturingSpread] = useState(false);
+  const [modelUpdate, setModelUpdate] = useState(null);
+  const [reviewItems, setReviewItems] = useState([]);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showLanguages, setShowLanguages] = useState(false);
+  const [showStorage, setShowStorage] = useState(false);
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [correcting, setCorrecting] = useState(null);
+  const [unknownBarcode, setUnknownBarcode] = useState(null);
+  const [guidedViews, setGuidedViews] = useState([]);
+  const [capturingView, setCapturingView] = useState(false);
+  const [guidedMessage, setGuidedMessage] = useState(null);
+  const [qualityHint, setQualityHint] = useState(null);
+  const [batterySaver, setBatterySaver] = useState(() => FrameScheduler.loadBatterySaver());
+  
+  const videoRef = useRef(null);
+  const scanningRef = useRef(false);
+  const scannerRef = useRef(null);
+  const streamRef = useRef(null);
+  const schedulerRef = useRef(null);
+  
+  const navigate = useNavigate();
+  
+  // Initialize scanner
+  useEffect(() => {
+    const initScanner = async () => {
+      scannerRef.current = new DeckScannerService();
+      try {
+        const ready = await scannerRef.current.initialize();
+        const currentHealth = scannerRef.current.getHealth();
+        setHealth(currentHealth);
+        if (!ready) {
+          // A database that can't open (e.g. blocked by another tab) says why
+          setInitError(currentHealth.components.database.error || 'The scanner could not start');
+          return;
+        }
+        setInitializing(false);
+        
+        // Fetch newer models while the user scans; they apply on restart
+        scannerRef.current.checkForModelUpdate().then(setModelUpdate);
+      } catch (error) {
+        console.error('Failed to initialize scanner:', error);
+        setInitError('Failed to initialize scanner');
+      }
+    };
+    
+    initScanner();
+    
+    return () => {
+      // Cleanup
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+      
+      if (schedulerRef.current) {
+        schedulerRef.current.stop();
+      }
+      
+      if (scannerRef.current) {
+        scannerRef.current.dispose();
+      }
+    };
+  }, []);
+  
+  // Request camera access
+  const requestCameraAccess = async () => {
+    try {
+      const constraints = {
+        video: {
+          facingMode: facingMode,
+          width: { ideal: 1280 },
+          height: { ideal: 720 }
+        }
+      };
+      
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      streamRef.current = stream;
+      
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+      }
+      
+      setCameraPermission(true);
+      setCameraError(null);
+    } catch (error) {
+      console.error('Camera access error:', error);
+      setCameraError(`Camera access denied: ${error.message}`);
+    }
+  };
+  
+  // Toggle camera facing mode
+  const toggleCamera = async () => {
+    // Stop current stream
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+    }
+    
+    // Switch facing mode
+    setFacingMode(facingMode === 'environment' ? 'user' : 'environment');
+    
+    // Request camera with new facing mode
+    await requestCameraAccess();
+  };
+  
+  // Start scanning
+  const startScanning = () => {
+    if (!scannerRef.current || !videoRef.current) return;
+    
+    const newSessionId = scannerRef.current.startBatchScanning(result => {
+      setResults(prev => [result, ...prev]);
+    });
+    
+    setSessionId(newSessionId);
+    setScanning(true);
+    setResults([]);
+    setPendingChoice(null);
+    setSpreadOutlines([]);
+    setReviewItems([]);
+    scanningRef.current = true;
+    
+    setGuidedViews([]);
+    setGuidedMessage(null);
+    
+    // Table spreads and guided captures are taken one photo at a time
+    if (mode !== 'single') return;
+    
+    // Start processing frames at a rate the scheduler picks
+    const processFrame = async () => {
+      if (videoRef.current && scannerRef.current && scanningRef.current) {
+        return scannerRef.current.processVideoFrame(
+          videoRef.current, 
+          newSessionId,
+          result => {
+            // This callback is handled by the batch scanning callback
+          },
+          {
+            onAmbiguous: ambiguousResult => setPendingChoice(ambiguousResult),
+            onReview: setReviewItems,
+            onUnknownBarcode: (barcode, candidates) => setUnknownBarcode({ barcode, candidates }),
+            onOutline: setOutline,
+            onQuality: quality => {
+              const hint = quality && QUALITY_HINTS.find(([issue]) => quality.issues.includes(issue));
+              setQualityHint(hint ? hint[1] : null);
+            }
+          }
+        );
+      }
+      return false;
+    };
+    
+    if (!schedulerRef.current) {
+      schedulerRef.current = new FrameScheduler();
+    }
+    schedulerRef.current.start(videoRef.current, processFrame);
+  };
+  
+  // Trade scan speed for battery life
+  const toggleBatterySaver = () => {
+    if (!schedulerRef.current) {
+      schedulerRef.current = new FrameScheduler();
+    }
+    schedulerRef.current.setBatterySaver(!batterySaver);
+    setBatterySaver(!batterySaver);
+  };
+  
+  // Count another copy of the deck that was just scanned
+  const addSameDeckAgain = async () => {
+    try {
+      await scannerRef.current.recordDuplicate(sessionId);
+    } catch (error) {
+      console.error('Failed to record duplicate deck:', error);
+    }
+  };
+  
+  // Recognize every deck in the current frame
+  const captureSpread = async () => {
+    if (!scannerRef.current || !videoRef.current) return;
+    
+    setCapturingSpread(true);
+    try {
+      const recorded = await scannerRef.current.processTableSpread(videoRef.current, sessionId);
+      setSpreadOutlines(recorded.map(result => result.outline));
+      setReviewItems(scannerRef.current.getReviewQueue());
+    } catch (error) {
+      console.error('Table spread capture failed:', error);
+    } finally {
+      setCapturingSpread(false);
+    }
+  };
+  
+  // Capture the current guided step; after the last one, combine the views
+  const captureGuidedStep = async skip => {
+    const step = GUIDED_STEPS[guidedViews.length];
+    
+    setCapturingView(true);
+    try {
+      const view = skip ?
+        { kind: step.kind, image: null, result: null } :
+        await scannerRef.current.captureGuidedView(step.kind, videoRef.current);
+      const views = [...guidedViews, view];
+      
+      if (views.length < GUIDED_STEPS.length) {
+        setGuidedViews(views);
+        return;
+      }
+      
+      setGuidedViews([]);
+      const result = await scannerRef.current.completeGuidedCapture(
+        views.filter(v => v.image),
+        sessionId
+      );
+      
+      if (!result || result.decision === 'reject') {
+        setGuidedMessage('No deck recognized - try again');
+      } else if (result.decision === 'ask') {
+        setPendingChoice(result);
+      } else if (result.decision === 'review') {
+        setReviewItems(scannerRef.current.getReviewQueue());
+        setGuidedMessage('Kept for review');
+      } else {
+        setGuidedMessage(null);
+      }
+    } catch (error) {
+      console.error('Guided capture failed:', error);
+      setGuidedMessage('Capture failed - try again');
+    } finally {
+      setCapturingView(false);
+    }
+  };
+  
+  // Resolve a near-tie or review item with the deck the user tapped
+  const chooseCandidate = async candidateIndex => {
+    const choice = pendingChoice;
+    setPendingChoice(null);
+    
+    try {
+      if (choice.reviewId) {
+        await scannerRef.current.resolveReview(choice.reviewId, candidateIndex, sessionId);
+        setReviewItems(scannerRef.current.getReviewQueue());
+      } else {
+        await scannerRef.current.selectCandidate(choice, candidateIndex, sessionId);
+      }
+    } catch (error) {
+      console.error('Failed to record selected deck:', error);
+    }
+  };
+  
+  // Skip a near-tie or review item without recording anything
+  const dismissChoice = () => {
+    const choice = pendingChoice;
+    setPendingChoice(null);
+    
+    if (choice.reviewId) {
+      scannerRef.current.dismissReview(choice.reviewId);
+      setReviewItems(scannerRef.current.getReviewQueue());
+    } else {
+      scannerRef.current.cancelSelection();
+    }
+  };
+  
+  // Teach the catalog a code it has not seen on this deck before
+  const linkBarcode = async deckId => {
+    const { barcode } = unknownBarcode;
+    setUnknownBarcode(null);
+    
+    try {
+      await scannerRef.current.linkBarcode(barcode.value, deckId);
+    } catch (error) {
+      console.error('Failed to link barcode:', error);
+    }
+  };
+  
+  // Stop scanning
+  const stopScanning = () => {
+    setScanning(false);
+    setPendingChoice(null);
+    setOutline(null);
+    setQualityHint(null);
+    scanningRef.current = false;
+    
+    if (schedulerRef.current) {
+      schedulerRef.current.stop();
+    }
+    
+    if (scannerRef.current) {
+      const summary = scannerRef.current.stopBatchScanning();
+      navigate('/summary', { state: { summary } });
+    }
+  };
+  
+  return (
+    <div className="scanner-view">
+      <header className="scanner-header">
+        <h1>Deck Scanner</h1>
+        {!initializing && (
+          <ModelStatus scanner={scannerRef.current} updateReady={modelUpdate} />
+        )}
+        {!scanning && (
+          <button className="enroll-link" onClick={() => navigate('/enroll')}>
+            Add New Deck
+          </button>
+        )}
+        {!scanning && (
+          <button className="import-link" onClick={() => navigate('/import')}>
+            Import Photos
+          </button>
+        )}
+        {!scanning && (
+          <button className="catalog-link" onClick={() => navigate('/catalog')}>
+            Browse Catalog
+          </button>
+        )}
+        {!scanning && (
+          <button className="inventory-link" onClick={() => navigate('/inventory')}>
+            Inventory
+          </button>
+        )}
+        {!initializing && (
+          <button className="settings-toggle" onClick={() => setShowSettings(!showSettings)}>
+            Thresholds
+          </button>
+        )}
+        {!initializing && !scanning && (
+          <button className="languages-toggle" onClick={() => setShowLanguages(true)}>
+            Languages
+          </button>
+        )}
+        {!initializing && !scanning && (
+          <button className="storage-toggle" onClick={() => setShowStorage(true)}>
+            Storage
+          </button>
+        )}
+        {!initializing && !scanning && (
+          <button className="catalog-toggle" onClick={() => setShowCatalog(true)}>
+            Catalog
+          </button>
+        )}
+        {scanning && (
+          <div className="scan-stats">
+            <span className="decks-found">{results.length} decks</span>
+            <span className="total-value">
+              ${results.reduce((sum, r) => sum + r.pricing.sellPrice, 0).toFixed(2)}
+            </span>
+          </div>
+        )}
+      </header>
+      
+      {health && <ComponentHealth health={health} />}
+      
+      {showSettings && (
+        <ScoringSettings scanner={scannerRef.current} onClose={() => setShowSettings(false)} />
+      )}
+      
+      {showStorage && (
+        <StorageSettings scanner={scannerRef.current} onClose={() => setShowStorage(false)} />
+      )}
+      
+      {showCatalog && (
+        <CatalogSettings scanner={scannerRef.current} onClose={() => setShowCatalog(false)} />
+      )}
+      
+      {showLanguages && (
+        <LanguageSettings
+          scanner={scannerRef.current}
+          onClose={() => {
+            setShowLanguages(false);
+            setHealth(scannerRef.current.getHealth());
+          }}
+        />
+      )}
+      
+      <main className="scanner-main">
+        {initializing ? (
+          initError ? (
+            <div className="initialization-failed">
+              <p className="error">{initError}</p>
+              <button onClick={() => window.location.reload()}>Retry</button>
+            </div>
+          ) : (
+            <div className="initializing">
+              <div className="spinner"></div>
+              <p>Initializing scanner...</p>
+            </div>
+          )
+        ) : (
+          <>
+            {!cameraPermission ? (
+              <div className="camera-permission">
+                <button className="camera-button" onClick={requestCameraAccess}>
+                  Enable Camera
+                </button>
+                {cameraError && <p className="error">{cameraError}</p>}
+              </div>
+            ) : (
+              <div className="camera-view">
+                <video 
+                  ref={videoRef} 
+                  autoPlay 
+                  playsInline 
+                  muted
+                  onCanPlay={() => videoRef.current.play()}
+                />
+                
+                <div className="scanner-overlay">
+                  {mode === 'spread' ? (
+                    <svg
+                      className="scan-area spread"
+                      viewBox="0 0 1 1"
+                      preserveAspectRatio="none"
+                    >
+                      {spreadOutlines.map((deckOutline, index) => (
+                        <polygon
+                          key={index}
+                          className="deck-outline"
+                          points={outlinePoints(deckOutline)}
+                        />
+                      ))}
+                    </svg>
+                  ) : outline ? (
+                    <svg
+                      className="scan-area detected"
+                      viewBox="0 0 1 1"
+                      preserveAspectRatio="none"
+                    >
+                      <polygon className="deck-outline" points={outlinePoints(outline)} />
+                    </svg>
+                  ) : (
+                    <div className="scan-area"></div>
+                  )}
+                  {pendingChoice && (
+                    <div className="candidate-picker">
+                      <p className="picker-prompt">
+                        {pendingChoice.degraded ? 'Matched by text only - which deck is this?' :
+                          pendingChoice.reviewId ? 'Low confidence - which deck is this?' : 'Which deck is this?'}
+                      </p>
+                      <ul className="candidate-list">
+                        {pendingChoice.candidates.map((candidate, index) => (
+                          <li key={candidate.deckId}>
+                            <button
+                              className="candidate-button"
+                              onClick={() => chooseCandidate(index)}
+                            >
+                              <span className="candidate-name">{candidate.deckName}</span>
+                              <span className="candidate-confidence">
+                                {(candidate.confidence * 100).toFixed(1)}%
+                              </span>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                      <button className="dismiss-picker" onClick={dismissChoice}>
+                        None of these
+                      </button>
+                    </div>
+                  )}
+                  {qualityHint && !pendingChoice && (
+                    <div className="capture-hint">{qualityHint}</div>
+                  )}
+                  {unknownBarcode && !pendingChoice && (
+                    <div className="barcode-link">
+                      <p className="barcode-prompt">
+                        New code {unknownBarcode.barcode.value} - link it to:
+                      </p>
+                      {unknownBarcode.candidates.map(candidate => (
+                        <button
+                          key={candidate.deckId}
+                          className="candidate-button"
+                          onClick={() => linkBarcode(candidate.deckId)}
+                        >
+                          {candidate.deckName}
+                        </button>
+                      ))}
+                      <button className="dismiss-picker" onClick={() => setUnknownBarcode(null)}>
+                        Not now
+                      </button>
+                    </div>
+                  )}
+                  {correcting && (
+                    <CorrectionPicker
+                      scanner={scannerRef.current}
+                      result={correcting}
+                      onCorrected={corrected => {
+                        setResults(prev => prev.map(r => (r.recordId === corrected.recordId ? corrected : r)));
+                        setCorrecting(null);
+                      }}
+                      onCancel={() => setCorrecting(null)}
+                    />
+                  )}
+                  {!pendingChoice && !correcting && results.length > 0 && (
+                    <div className="last-scan">
+                      <p className="deck-name">{results[0].deckName}</p>
+                      <p className="deck-price">${results[0].pricing.sellPrice.toFixed(2)}</p>
+                      {results[0].degraded && (
+                        <p className="degraded-result">OCR only - lower confidence</p>
+                      )}
+                      {results[0].correction && (
+                        <p className="corrected-from">Corrected from {results[0].correctedFrom}</p>
+                      )}
+                      {results[0].barcode ? (
+                        <p className="identified-by">Barcode {results[0].barcode.value}</p>
+                      ) : (
+                        <TextVerification verification={results[0].textVerification} />
+                      )}
+                      <button className="correct-button" onClick={() => setCorrecting(results[0])}>
+                        Wrong deck?
+                      </button>
+                    </div>
+                  )}
+                </div>
+                
+                <div className="camera-controls">
+                  <button className="toggle-camera" onClick={toggleCamera}>
+                    Flip Camera
+                  </button>
+                  <button
+                    className={`battery-saver${batterySaver ? ' active' : ''}`}
+                    onClick={toggleBatterySaver}
+                  >
+                    Battery Saver {batterySaver ? 'On' : 'Off'}
+                  </button>
+                  <button
+                    className="toggle-mode"
+                    onClick={() => setMode(MODES[(MODES.indexOf(mode) + 1) % MODES.length])}
+                    disabled={scanning}
+                  >
+                    {MODE_LABELS[MODES[(MODES.indexOf(mode) + 1) % MODES.length]]}
+                  </button>
+                  {scanning && mode === 'single' && results.length > 0 && (
+                    <button className="same-deck-again" onClick={addSameDeckAgain}>
+                      Same Deck Again
+                    </button>
+                  )}
+                  {scanning && reviewItems.length > 0 && !pendingChoice && (
+                    <button className="review-button" onClick={() => setPendingChoice(reviewItems[0])}>
+                      Review ({reviewItems.length})
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+            
+            <div className="scanner-controls">
+              {!scanning ? (
+                <button 
+                  className="start-scan-button" 
+                  onClick={startScanning}
+                  disabled={!cameraPermission}
+                >
+                  Start Scanning
+                </button>
+              ) : (
+                <>
+                  {mode === 'spread' && (
+                    <button
+                      className="capture-spread-button"
+                      onClick={captureSpread}
+                      disabled={capturingSpread}
+                    >
+                      {capturingSpread ? 'Recognizing...' : 'Capture Spread'}
+                    </button>
+                  )}
+                  {mode === 'guided' && (
+                    <div className="guided-capture">
+                      <p className="guided-prompt">
+                        Step {guidedViews.length + 1} of {GUIDED_STEPS.length}:{' '}
+                        {GUIDED_STEPS[guidedViews.length].prompt}
+                      </p>
+                      {guidedMessage && <p className="guided-message">{guidedMessage}</p>}
+                      <button
+                        className="capture-view-button"
+                        onClick={() => captureGuidedStep(false)}
+                        disabled={capturingView || !!pendingChoice}
+                      >
+                        {capturingView ? 'Recognizing...' : 'Capture'}
+                      </button>
+                      {GUIDED_STEPS[guidedViews.length].optional && (
+                        <button
+                          className="skip-view-button"
+                          onClick={() => captureGuidedStep(true)}
+                          disabled={capturingView || !!pendingChoice}
+                        >
+                          Skip
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  <button className="stop-scan-button" onClick={stopScanning}>
+                    Finish Scanning
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+      
+      {scanning && results.length > 0 && (
+        <div className="results-preview">
+          <h2>Scanned Decks</h2>
+          <ul className="results-list">
+            {results.map((result, index) => (
+              <li key={index} className="result-item">
+                <div className="result-name">{result.deckName}</div>
+                <div className="result-price">${result.pricing.sellPrice.toFixed(2)}</div>
+                {result.recordId && (
+                  <button
+                    className="correct-button"
+                    onClick={() => setCorrecting(result)}
+                    disabled={!!pendingChoice}
+                  >
+                    Wrong deck?
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScannerView;
+
+// ------------------------------------------------------
+// src/components/ModelStatus.jsx
+// ------------------------------------------------------
+
+import React, { useState } from 'react';
+
+/**
+ * Model status component - Shows the active classifier version, downloaded
+ * updates waiting for a restart and a rollback control
+ */
+const ModelStatus = ({ scanner, updateReady }) => {
+  const [status, setStatus] = useState(() => scanner.getModelStatus());
+  const [needsRestart, setNeedsRestart] = useState(false);
+  const [benchmarkReset, setBenchmarkReset] = useState(false);
+  const [diagnostics, setDiagnostics] = useState(null);
+  
+  const toggleDiagnostics = async () => {
+    setDiagnostics(diagnostics ? null : await scanner.getDiagnostics());
+  };
+  
+  const handleRollback = () => {
+    if (scanner.rollbackModel()) {
+      setStatus(scanner.getModelStatus());
+      setNeedsRestart(true);
+    }
+  };
+  
+  // The benchmark runs while the model loads, so it takes a restart
+  const handleRebenchmark = () => {
+    scanner.resetBackendChoice();
+    setBenchmarkReset(true);
+  };
+  
+  return (
+    <div className="model-status">
+      <span className="model-version" onClick={toggleDiagnostics}>
+        Model {status.running || 'unavailable'}
+      </span>
+      {diagnostics && (
+        <dl className="model-diagnostics">
+          <dt>Backend</dt>
+          <dd>{diagnostics.backend}</dd>
+          {Object.entries(diagnostics.benchmarks).map(([name, ms]) => (
+            <React.Fragment key={name}>
+              <dt>{name}</dt>
+              <dd>{ms === null ? 'unavailable' : `${ms.toFixed(0)} ms`}</dd>
+            </React.Fragment>
+          ))}
+          <dt>Warm-up</dt>
+          <dd>{diagnostics.warmupMs === null ? '-' : `${diagnostics.warmupMs.toFixed(0)} ms`}</dd>
+          <dt>Inference</dt>
+          <dd>
+            {diagnostics.averageInferenceMs === null ? '-' : `${diagnostics.averageInferenceMs.toFixed(0)} ms`}
+          </dd>
+          <dt>Tensors</dt>
+          <dd>{diagnostics.numTensors} ({(diagnostics.numBytes / 1048576).toFixed(1)} MB)</dd>
+          <dt>Enrollment</dt>
+          <dd>{diagnostics.enrollmentAvailable ? 'available' : 'unavailable'}</dd>
+        </dl>
+      )}
+      {diagnostics && !benchmarkReset && (
+        <button className="rebenchmark-button" onClick={handleRebenchmark}>
+          Re-run benchmark
+        </button>
+      )}
+      {(updateReady || needsRestart || benchmarkReset) && (
+        <button className="restart-button" onClick={() => window.location.reload()}>
+          {needsRestart ? `Restart to use ${status.active}` :
+            updateReady ? `Restart to use ${updateReady}` : 'Restart to re-run the benchmark'}
+        </button>
+      )}
+      {status.previous && !needsRestart && (
+        <button className="rollback-button" onClick={handleRollback}>
+          Roll back to {status.previous}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ModelStatus;
+
+// ------------------------------------------------------
+// src/components/ScoringSettings.jsx
+// ------------------------------------------------------
+
+import React, { useState } from 'react';
+
+const THRESHOLD_FIELDS = [
+  ['accept', 'Auto-accept at', 'Recorded without asking'],
+  ['ask', 'Ask me at', 'You confirm the deck before it is recorded'],
+  ['review', 'Keep for review at', 'Listed for manual review instead of being discarded']
+];
+
+/**
+ * Scoring settings component - Edits the scores at which recognitions are
+ * accepted, confirmed with the user, kept for review or discarded
+ */
+const ScoringSettings = ({ scanner, onClose }) => {
+  const [thresholds, setThresholds] = useState(() => scanner.getThresholds());
+  const [margin, setMargin] = useState(() => scanner.getAmbiguityMargin());
+  const [error, setError] = useState(null);
+  
+  const updateThreshold = (name, value) => {
+    try {
+      setThresholds(scanner.setThresholds({ [name]: Number(value) / 100 }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const updateMargin = value => {
+    try {
+      setMargin(scanner.setAmbiguityMargin(Number(value) / 100));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const resetToDefaults = () => {
+    setThresholds(scanner.resetThresholds());
+    setMargin(scanner.getAmbiguityMargin());
+    setError(null);
+  };
+  
+  return (
+    <div className="scoring-settings">
+      <h2>Recognition Thresholds</h2>
+      {THRESHOLD_FIELDS.map(([name, label, hint]) => (
+        <label key={name} className="threshold-field">
+          <span className="threshold-label">
+            {label} {Math.round(thresholds[name] * 100)}%
+          </span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={Math.round(thresholds[name] * 100)}
+            onChange={event => updateThreshold(name, event.target.value)}
+          />
+          <span className="threshold-hint">{hint}</span>
+        </label>
+      ))}
+      <label className="threshold-field">
+        <span className="threshold-label">
+          Let me choose within {Math.round(margin * 100)}%
+        </span>
+        <input
+          type="range"
+          min="0"
+          max="25"
+          value={Math.round(margin * 100)}
+          onChange={event => updateMargin(event.target.value)}
+        />
+        <span className="threshold-hint">
+          When the top two decks score this close, you pick between them
+        </span>
+      </label>
+      {error && <p className="error">{error}</p>}
+      <button className="reset-thresholds" onClick={resetToDefaults}>Reset to defaults</button>
+      <button onClick={onClose}>Done</button>
+    </div>
+  );
+};
+
+export default ScoringSettings;
+
+// ------------------------------------------------------
+// src/components/LanguageSettings.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Language settings component - Downloads OCR language packs, picks the
+ * languages read on boxes and installs a custom-trained traineddata file
+ */
+const LanguageSettings = ({ scanner, onClose }) => {
+  const registry = scanner.languagePacks;
+  const [packs, setPacks] = useState([]);
+  const [custom, setCustom] = useState(() => registry.getState().custom);
+  const [customCode, setCustomCode] = useState('casino');
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [changed, setChanged] = useState(false);
+  
+  useEffect(() => {
+    registry.listPacks().then(setPacks);
+  }, [registry]);
+  
+  // Run a registry action, then refresh the list
+  const run = async (label, action) => {
+    setBusy(label);
+    setError(null);
+    try {
+      await action();
+      setPacks(await registry.listPacks());
+      setCustom(registry.getState().custom);
+      setChanged(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+  
+  const togglePack = pack => run(pack.code, async () => {
+    if (!pack.downloaded && !pack.active) {
+      await registry.download(pack.code);
+    }
+    
+    const active = packs.filter(p => p.active).map(p => p.code);
+    registry.setActive(pack.active ? active.filter(code => code !== pack.code) : active.concat(pack.code));
+  });
+  
+  const installCustom = event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+      run('custom', () => registry.installCustom(file, customCode.trim()));
+    }
+  };
+  
+  // Languages are loaded into the OCR worker once, when the panel closes
+  const handleClose = async () => {
+    if (changed) {
+      setBusy('apply');
+      try {
+        await scanner.reloadOcrLanguages();
+      } catch (err) {
+        setBusy(null);
+        setError(err.message);
+        return;
+      }
+    }
+    onClose();
+  };
+  
+  return (
+    <div className="language-settings">
+      <h2>OCR Languages</h2>
+      <ul className="language-list">
+        {packs.map(pack => (
+          <li key={pack.code} className={pack.downloaded ? 'downloaded' : ''}>
+            <label>
+              <input
+                type="checkbox"
+                checked={pack.active}
+                disabled={!!busy}
+                onChange={() => togglePack(pack)}
+              />
+              {pack.name}
+            </label>
+            {busy === pack.code && <span className="language-status">Downloading...</span>}
+            {pack.downloaded && !pack.active && (
+              <button
+                className="remove-language"
+                disabled={!!busy}
+                onClick={() => run(pack.code, () => registry.remove(pack.code))}
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      
+      <h3>Custom traineddata</h3>
+      {custom ? (
+        <div className="custom-language">
+          <label>
+            <input
+              type="checkbox"
+              checked={custom.enabled}
+              disabled={!!busy}
+              onChange={() => run('custom', async () => registry.setCustomEnabled(!custom.enabled))}
+            />
+            {custom.code} ({custom.fileName}, {(custom.size / 1048576).toFixed(1)} MB)
+          </label>
+          <button disabled={!!busy} onClick={() => run('custom', () => registry.removeCustom())}>
+            Remove
+          </button>
+        </div>
+      ) : (
+        <div className="custom-language">
+          <input
+            type="text"
+            value={customCode}
+            onChange={event => setCustomCode(event.target.value)}
+            placeholder="Language code"
+          />
+          <input type="file" accept=".traineddata" disabled={!!busy} onChange={installCustom} />
+        </div>
+      )}
+      
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleClose} disabled={!!busy}>
+        {busy === 'apply' ? 'Loading languages...' : 'Done'}
+      </button>
+    </div>
+  );
+};
+
+export default LanguageSettings;
+
+// ------------------------------------------------------
+// src/components/StorageSettings.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+
+const RETENTION_FIELDS = [
+  ['maxAgeDays', 'Keep photos for (days)'],
+  ['maxFrames', 'Keep at most (photos)'],
+  ['maxMegabytes', 'Use at most (MB)']
+];
+
+/**
+ * Storage settings component - Shows how much space scan photos use and
+ * edits how long they are kept
+ */
+const StorageSettings = ({ scanner, onClose }) => {
+  const [retention, setRetention] = useState(() => scanner.getFrameRetention());
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    scanner.getFrameUsage().then(setUsage);
+  }, [scanner]);
+  
+  const updateRetention = changes => {
+    try {
+      setRetention(scanner.setFrameRetention(changes));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const applyNow = async () => {
+    try {
+      await scanner.applyFrameRetention();
+      setUsage(await scanner.getFrameUsage());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  return (
+    <div className="storage-settings">
+      <h2>Scan Photos</h2>
+      {usage && (
+        <p className="storage-usage">
+          {usage.count} photos, {(usage.bytes / 1048576).toFixed(1)} MB
+        </p>
+      )}
+      {RETENTION_FIELDS.map(([name, label]) => (
+        <label key={name} className="retention-field">
+          <span className="retention-label">{label}</span>
+          <input
+            type="number"
+            min="1"
+            value={retention[name]}
+            onChange={event => updateRetention({ [name]: Number(event.target.value) })}
+          />
+        </label>
+      ))}
+      <label className="retention-field">
+        <input
+          type="checkbox"
+          checked={retention.keepFullResolution}
+          onChange={event => updateRetention({ keepFullResolution: event.target.checked })}
+        />
+        <span className="retention-label">Also keep the full-resolution deck crop</span>
+      </label>
+      {error && <p className="error">{error}</p>}
+      <button onClick={applyNow}>Clean Up Now</button>
+      <button onClick={onClose}>Done</button>
+    </div>
+  );
+};
+
+export default StorageSettings;
+
+// ------------------------------------------------------
+// src/components/CatalogSettings.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Catalog settings component - Shows the installed catalog version, checks
+ * for catalog updates and imports a delta file carried in while offline
+ */
+const CatalogSettings = ({ scanner, onClose }) => {
+  const [version, setVersion] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  
+  useEffect(() => {
+    scanner.getCatalogVersion().then(setVersion);
+  }, [scanner]);
+  
+  const run = async update => {
+    setBusy(true);
+    setMessage(null);
+    
+    try {
+      const { version: installed, applied } = await update();
+      setVersion(installed);
+      setMessage(applied > 0 ?
+        `Updated to catalog version ${installed}` :
+        'The catalog is up to date');
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  const handleFile = event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+      run(() => scanner.importCatalogDelta(file));
+    }
+  };
+  
+  return (
+    <div className="catalog-settings">
+      <h2>Catalog</h2>
+      <p className="catalog-version">
+        {version === null ? 'Reading catalog version...' : `Catalog version ${version}`}
+      </p>
+      <button onClick={() => run(() => scanner.updateCatalog())} disabled={busy}>
+        Check for Updates
+      </button>
+      <label className="catalog-import">
+        <span>Import update file</span>
+        <input type="file" accept=".json,application/json" onChange={handleFile} disabled={busy} />
+      </label>
+      {message && <p className="catalog-message">{message}</p>}
+      <button onClick={onClose} disabled={busy}>Done</button>
+    </div>
+  );
+};
+
+export default CatalogSettings;
+
+// ------------------------------------------------------
+// src/components/CorrectionPicker.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Correction picker component - Replaces a misidentified result with the
+ * right catalog deck. Offers the other candidates first, then a search
+ */
+const CorrectionPicker = ({ scanner, result, onCorrected, onCancel }) => {
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    if (!query.trim()) {
+      setMatches((result.candidates || [])
+        .filter(c => c.deckId !== result.deckId)
+        .map(c => ({ deckId: c.deckId, name: c.deckName, casino: c.casino })));
+      return undefined;
+    }
+    
+    // Drop results of searches the user has typed past
+    let current = true;
+    scanner.searchDecks(query).then(decks => {
+      if (current) setMatches(decks.filter(deck => deck.deckId !== result.deckId));
+    });
+    
+    return () => {
+      current = false;
+    };
+  }, [scanner, query, result]);
+  
+  const choose = async deckId => {
+    setSaving(true);
+    setError(null);
+    
+    try {
+      onCorrected(await scanner.correctResult(result, deckId));
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+  
+  return (
+    <div className="correction-picker">
+      <p className="picker-prompt">Scanned as {result.deckName}. Which deck is it?</p>
+      <input
+        type="search"
+        value={query}
+        onChange={event => setQuery(event.target.value)}
+        placeholder="Search by name, casino or manufacturer"
+        autoFocus
+      />
+      <ul className="candidate-list">
+        {matches.map(deck => (
+          <li key={deck.deckId}>
+            <button className="candidate-button" onClick={() => choose(deck.deckId)} disabled={saving}>
+              <span className="candidate-name">{deck.name}</span>
+              {deck.casino && <span className="candidate-casino">{deck.casino}</span>}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="error">{error}</p>}
+      <button className="dismiss-picker" onClick={onCancel} disabled={saving}>
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default CorrectionPicker;
+
+// ------------------------------------------------------
+// src/components/EnrollmentView.jsx
+// ------------------------------------------------------
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DeckScannerService from '../services/DeckScannerService';
+
+// Photos needed before a deck can be saved
+const MIN_SAMPLES = 3;
+
+/**
+ * Enrollment component - Adds decks missing from the bundled labels by
+ * photographing them a few times and entering their catalog details
+ */
+const EnrollmentView = () => {
+  const [initializing, setInitializing] = useState(true);
+  const [error, setError] = useState(null);
+  const [samples, setSamples] = useState([]);
+  const [capturing, setCapturing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [enrolledDecks, setEnrolledDecks] = useState([]);
+  const [fields, setFields] = useState({
+    name: '',
+    manufacturer: '',
+    casino: '',
+    buyPrice: '',
+    sellPrice: ''
+  });
+  
+  const videoRef = useRef(null);
+  const scannerRef = useRef(null);
+  const streamRef = useRef(null);
+  const importRef = useRef(null);
   
   const navigate = useNavigate();
   
-  // Initialize scanner
+  // Initialize scanner and camera
   useEffect(() => {
-    const initScanner = async () => {
+    const init = async () => {
+      scannerRef.current = new DeckScannerService();
+      try {
+        await scannerRef.current.initialize();
+        setEnrolledDecks([...scannerRef.current.getEnrolledDecks()]);
+        
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } }
+        });
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+        
+        setInitializing(false);
+      } catch (err) {
+        console.error('Failed to initialize enrollment:', err);
+        setError('Failed to start the camera');
+      }
+    };
+    
+    init();
+    
+    return () => {
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+      
+      if (scannerRef.current) {
+        scannerRef.current.dispose();
+      }
+    };
+  }, []);
+  
+  // Photograph the deck from the current camera frame
+  const captureSample = async () => {
+    setCapturing(true);
+    try {
+      const sample = await scannerRef.current.captureEnrollmentSample(videoRef.current);
+      setSamples(prev => [...prev, sample]);
+      setError(null);
+    } catch (err) {
+      console.error('Enrollment capture failed:', err);
+      setError(err.message);
+    } finally {
+      setCapturing(false);
+    }
+  };
+  
+  const removeSample = index => {
+    setSamples(prev => prev.filter((_, i) => i !== index));
+  };
+  
+  const updateField = event => {
+    const { name, value } = event.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+  
+  // Add the deck to the local catalog
+  const saveDeck = async event => {
+    event.preventDefault();
+    
+    setSaving(true);
+    try {
+      await scannerRef.current.enrollDeck(fields, samples);
+      setEnrolledDecks([...scannerRef.current.getEnrolledDecks()]);
+      setSamples([]);
+      setFields({ name: '', manufacturer: '', casino: '', buyPrice: '', sellPrice: '' });
+    } catch (err) {
+      console.error('Failed to enroll deck:', err);
+      setError('Failed to save deck');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  // Share enrolled decks with other devices
+  const handleExport = async () => {
+    try {
+      const blob = await scannerRef.current.exportEnrolledDecks();
+      
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `enrolled-decks-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError('Failed to export enrolled decks');
+    }
+  };
+  
+  const handleImport = async event => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      await scannerRef.current.importEnrolledDecks(file);
+      setEnrolledDecks([...scannerRef.current.getEnrolledDecks()]);
+    } catch (err) {
+      console.error('Import failed:', err);
+      setError(`Failed to import enrolled decks: ${err.message}`);
+    } finally {
+      event.target.value = '';
+    }
+  };
+  
+  return (
+    <div className="enrollment-view">
+      <header className="enrollment-header">
+        <h1>Add New Deck</h1>
+        <button onClick={() => navigate('/scanner')}>
+          Back to Scanner
+        </button>
+      </header>
+      
+      <main className="enrollment-main">
+        {initializing && !error && (
+          <div className="initializing">
+            <div className="spinner"></div>
+            <p>Initializing scanner...</p>
+          </div>
+        )}
+        {error && <p className="error">{error}</p>}
+        
+        <div className="camera-view">
+          <video ref={videoRef} autoPlay playsInline muted />
+          <div className="scanner-overlay">
+            <div className="scan-area"></div>
+          </div>
+        </div>
+        
+        <div className="enrollment-samples">
+          <p className="sample-hint">
+            Photograph the deck back {MIN_SAMPLES} or more times from slightly different angles
+          </p>
+          <ul className="sample-list">
+            {samples.map((sample, index) => (
+              <li key={index} className="sample-item">
+                <img src={sample.image} alt={`Sample ${index + 1}`} />
+                <button className="remove-sample" onClick={() => removeSample(index)}>
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            className="capture-sample-button"
+            onClick={captureSample}
+            disabled={initializing || capturing}
+          >
+            {capturing ? 'Capturing...' : `Capture Photo (${samples.length}/${MIN_SAMPLES})`}
+          </button>
+        </div>
+        
+        <form className="enrollment-form" onSubmit={saveDeck}>
+          <label>
+            Name
+            <input name="name" value={fields.name} onChange={updateField} required />
+          </label>
+          <label>
+            Manufacturer
+            <input name="manufacturer" value={fields.manufacturer} onChange={updateField} required />
+          </label>
+          <label>
+            Casino
+            <input name="casino" value={fields.casino} onChange={updateField} />
+          </label>
+          <label>
+            Buy Price
+            <input name="buyPrice" type="number" step="0.01" min="0.01" value={fields.buyPrice} onChange={updateField} required />
+          </label>
+          <label>
+            Sell Price
+            <input name="sellPrice" type="number" step="0.01" min="0" value={fields.sellPrice} onChange={updateField} />
+          </label>
+          <button
+            type="submit"
+            className="save-deck-button"
+            disabled={saving || samples.length < MIN_SAMPLES}
+          >
+            {saving ? 'Saving...' : 'Save Deck'}
+          </button>
+        </form>
+        
+        <div className="enrolled-decks">
+          <h2>Enrolled Decks</h2>
+          <ul className="enrolled-list">
+            {enrolledDecks.map(deck => (
+              <li key={deck.deckId} className="enrolled-item">
+                <span className="deck-name">{deck.name}</span>
+                <span className="deck-manufacturer">{deck.manufacturer}</span>
+                <span className="deck-samples">{deck.enrollment.samples.length} photos</span>
+              </li>
+            ))}
+          </ul>
+          <div className="enrollment-actions">
+            <button onClick={handleExport} disabled={enrolledDecks.length === 0}>
+              Export Enrolled Decks
+            </button>
+            <button onClick={() => importRef.current.click()} disabled={initializing}>
+              Import Enrolled Decks
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept="application/json"
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default EnrollmentView;
+
+// ------------------------------------------------------
+// src/components/ImportView.jsx
+// ------------------------------------------------------
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DeckScannerService from '../services/DeckScannerService';
+
+const isImage = file => file.type.startsWith('image/');
+
+// Read every file in a dropped directory, including subdirectories
+const readDirectory = entry => new Promise((resolve, reject) => {
+  const reader = entry.createReader();
+  const entries = [];
+  
+  // readEntries returns results in batches until it returns an empty one
+  const readBatch = () => reader.readEntries(batch => {
+    if (batch.length === 0) {
+      resolve(entries);
+    } else {
+      entries.push(...batch);
+      readBatch();
+    }
+  }, reject);
+  
+  readBatch();
+});
+
+const collectEntryFiles = async entry => {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  
+  const children = await readDirectory(entry);
+  const nested = await Promise.all(children.map(collectEntryFiles));
+  return nested.flat();
+};
+
+/**
+ * Import component - Scans photos from the gallery, a folder or a drag and
+ * drop into a normal scanning session
+ */
+const ImportView = () => {
+  const [initializing, setInitializing] = useState(true);
+  const [initError, setInitError] = useState(null);
+  const [items, setItems] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  
+  const scannerRef = useRef(null);
+  const nextIdRef = useRef(0);
+  const queueRef = useRef([]);
+  const runningRef = useRef(false);
+  
+  const navigate = useNavigate();
+  
+  // Initialize scanner and open a session for the imported photos
+  useEffect(() => {
+    const init = async () => {
       scannerRef.current = new DeckScannerService();
       try {
         await scannerRef.current.initialize();
+        setSessionId(scannerRef.current.startBatchScanning(() => {}));
         setInitializing(false);
       } catch (error) {
         console.error('Failed to initialize scanner:', error);
-        setCameraError('Failed to initialize scanner');
+        setInitError('Failed to initialize scanner');
       }
     };
     
-    initScanner();
+    init();
     
     return () => {
-      // Cleanup
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
-      
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+      if (scannerRef.current) {
+        scannerRef.current.dispose();
       }
     };
   }, []);
   
-  // Request camera access
-  const requestCameraAccess = async () => {
-    try {
-      const constraints = {
-        video: {
-          facingMode: facingMode,
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        }
-      };
-      
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      streamRef.current = stream;
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-      }
-      
-      setCameraPermission(true);
-      setCameraError(null);
-    } catch (error) {
-      console.error('Camera access error:', error);
-      setCameraError(`Camera access denied: ${error.message}`);
-    }
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
   };
   
-  // Toggle camera facing mode
-  const toggleCamera = async () => {
-    // Stop current stream
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-    }
+  // Recognize photos one at a time, including ones added mid-import
+  const processItems = async queued => {
+    queued.forEach(item => updateItem(item.id, { status: 'pending', error: null }));
+    queueRef.current.push(...queued);
+    if (runningRef.current) return;
     
-    // Switch facing mode
-    setFacingMode(facingMode === 'environment' ? 'user' : 'environment');
+    runningRef.current = true;
+    setProcessing(true);
     
-    // Request camera with new facing mode
-    await requestCameraAccess();
+    while (queueRef.current.length > 0) {
+      const item = queueRef.current.shift();
+      updateItem(item.id, { status: 'processing' });
+      try {
+        const { status, result } = await scannerRef.current.importImage(item.file, sessionId);
+        updateItem(item.id, { status, result });
+      } catch (error) {
+        console.error(`Failed to import ${item.file.name}:`, error);
+        updateItem(item.id, { status: 'failed', error: error.message });
+      }
+    }
+    
+    runningRef.current = false;
+    setProcessing(false);
   };
   
-  // Start scanning
-  const startScanning = () => {
-    if (!scannerRef.current || !videoRef.current) return;
+  const addFiles = files => {
+    const images = files.filter(isImage);
+    if (images.length === 0) return;
     
-    const newSessionId = scannerRef.current.startBatchScanning(result => {
-      setResults(prev => [result, ...prev]);
-    });
-    
-    setSessionId(newSessionId);
-    setScanning(true);
-    setResults([]);
-    
-    // Start processing frames
-    const processFrame = () => {
-      if (videoRef.current && scannerRef.current && scanning) {
-        scannerRef.current.processVideoFrame(
-          videoRef.current, 
-          newSessionId,
-          result => {
-            // This callback is handled by the batch scanning callback
-          }
-        );
-        
-        animationRef.current = requestAnimationFrame(processFrame);
-      }
-    };
+    const added = images.map(file => ({
+      id: nextIdRef.current++,
+      file: file,
+      status: 'pending',
+      result: null,
+      error: null
+    }));
     
-    animationRef.current = requestAnimationFrame(processFrame);
+    setItems(prev => [...prev, ...added]);
+    processItems(added);
   };
   
-  // Stop scanning
-  const stopScanning = () => {
-    setScanning(false);
+  const handleDrop = async event => {
+    event.preventDefault();
+    setDragging(false);
     
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current);
-    }
+    // Directory entries must be taken before the event handler returns
+    const entries = Array.from(event.dataTransfer.items || [])
+      .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+      .filter(Boolean);
     
-    if (scannerRef.current) {
-      const summary = scannerRef.current.stopBatchScanning();
-      navigate('/summary', { state: { summary } });
+    if (entries.length > 0) {
+      const nested = await Promise.all(entries.map(collectEntryFiles));
+      addFiles(nested.flat());
+    } else {
+      addFiles(Array.from(event.dataTransfer.files));
     }
   };
   
+  const handleFileInput = event => {
+    addFiles(Array.from(event.target.files));
+    event.target.value = '';
+  };
+  
+  const retryFailed = () => {
+    processItems(items.filter(item => item.status === 'failed'));
+  };
+  
+  // Finish the session and show the usual summary
+  const finishImport = () => {
+    const summary = scannerRef.current.stopBatchScanning();
+    navigate('/summary', { state: { summary } });
+  };
+  
+  const done = items.filter(item => !['pending', 'processing'].includes(item.status)).length;
+  const failed = items.filter(item => item.status === 'failed');
+  
   return (
-    <div className="scanner-view">
-      <header className="scanner-header">
-        <h1>Deck Scanner</h1>
-        {scanning && (
-          <div className="scan-stats">
-            <span className="decks-found">{results.length} decks</span>
-            <span className="total-value">
-              ${results.reduce((sum, r) => sum + r.pricing.sellPrice, 0).toFixed(2)}
-            </span>
-          </div>
-        )}
+    <div className="import-view">
+      <header className="import-header">
+        <h1>Import Photos</h1>
+        <button onClick={() => navigate('/scanner')}>
+          Back to Scanner
+        </button>
       </header>
       
-      <main className="scanner-main">
+      <main className="import-main">
         {initializing ? (
           <div className="initializing">
-            <div className="spinner"></div>
-            <p>Initializing scanner...</p>
+            {initError ? <p className="error">{initError}</p> : (
+              <>
+                <div className="spinner"></div>
+                <p>Initializing scanner...</p>
+              </>
+            )}
           </div>
         ) : (
           <>
-            {!cameraPermission ? (
-              <div className="camera-permission">
-                <button className="camera-button" onClick={requestCameraAccess}>
-                  Enable Camera
-                </button>
-                {cameraError && <p className="error">{cameraError}</p>}
-              </div>
-            ) : (
-              <div className="camera-view">
-                <video 
-                  ref={videoRef} 
-                  autoPlay 
-                  playsInline 
-                  muted
-                  onCanPlay={() => videoRef.current.play()}
-                />
-                
-                <div className="scanner-overlay">
-                  <div className="scan-area"></div>
-                  {results.length > 0 && (
-                    <div className="last-scan">
-                      <p className="deck-name">{results[0].deckName}</p>
-                      <p className="deck-price">${results[0].pricing.sellPrice.toFixed(2)}</p>
-                    </div>
-                  )}
-                </div>
-                
-                <div className="camera-controls">
-                  <button className="toggle-camera" onClick={toggleCamera}>
-                    Flip Camera
+            <div
+              className={`drop-zone${dragging ? ' dragging' : ''}`}
+              onDragOver={event => {
+                event.preventDefault();
+                setDragging(true);
+              }}
+              onDragLeave={() => setDragging(false)}
+              onDrop={handleDrop}
+            >
+              <p>Drop photos or a folder here</p>
+              <label className="file-button">
+                Choose Photos
+                <input type="file" accept="image/*" multiple onChange={handleFileInput} hidden />
+              </label>
+              <label className="file-button">
+                Choose Folder
+                <input type="file" webkitdirectory="" multiple onChange={handleFileInput} hidden />
+              </label>
+            </div>
+            
+            {items.length > 0 && (
+              <section className="import-progress">
+                <progress value={done} max={items.length} />
+                <span className="progress-text">{done} of {items.length} photos</span>
+                {failed.length > 0 && !processing && (
+                  <button className="retry-button" onClick={retryFailed}>
+                    Retry {failed.length} Failed
                   </button>
-                </div>
-              </div>
+                )}
+              </section>
             )}
             
-            <div className="scanner-controls">
-              {!scanning ? (
-                <button 
-                  className="start-scan-button" 
-                  onClick={startScanning}
-                  disabled={!cameraPermission}
-                >
-                  Start Scanning
-                </button>
-              ) : (
-                <button className="stop-scan-button" onClick={stopScanning}>
-                  Finish Scanning
-                </button>
-              )}
-            </div>
+            <ul className="import-list">
+              {items.map(item => (
+                <li key={item.id} className={`import-item ${item.status}`}>
+                  <span className="file-name">{item.file.name}</span>
+                  {item.status === 'pending' && <span className="import-status">Waiting</span>}
+                  {item.status === 'processing' && <span className="import-status">Recognizing...</span>}
+                  {item.status === 'recorded' && (
+                    <span className="import-status">
+                      {item.result.deckName} - ${item.result.pricing.sellPrice.toFixed(2)}
+                    </span>
+                  )}
+                  {item.status === 'review' && (
+                    <span className="import-status">Needs review: {item.result.deckName}?</span>
+                  )}
+                  {item.status === 'unrecognized' && (
+                    <span className="import-status">No deck recognized</span>
+                  )}
+                  {item.status === 'failed' && (
+                    <>
+                      <span className="import-status error">{item.error}</span>
+                      <button
+                        className="retry-button"
+                        onClick={() => processItems([item])}
+                        disabled={processing}
+                      >
+                        Retry
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
           </>
         )}
       </main>
       
-      {scanning && results.length > 0 && (
-        <div className="results-preview">
-          <h2>Scanned Decks</h2>
-          <ul className="results-list">
-            {results.map((result, index) => (
-              <li key={index} className="result-item">
-                <div className="result-name">{result.deckName}</div>
-                <div className="result-price">${result.pricing.sellPrice.toFixed(2)}</div>
-              </li>
+      <footer className="import-footer">
+        <button
+          className="finish-import-button"
+          onClick={finishImport}
+          disabled={initializing || processing || done === 0}
+        >
+          Finish Import
+        </button>
+      </footer>
+    </div>
+  );
+};
+
+export default ImportView;
+
+// ------------------------------------------------------
+// src/components/CatalogView.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DeckScannerService from '../services/DeckScannerService';
+
+const NO_FILTERS = { query: '', casino: '', manufacturer: '', minPrice: '', maxPrice: '' };
+
+/**
+ * Catalog view component - Browses and searches the deck catalog, with
+ * current prices. Reads IndexedDB only, so it works offline
+ */
+const CatalogView = () => {
+  const navigate = useNavigate();
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [facets, setFacets] = useState({ casinos: [], manufacturers: [] });
+  const [matches, setMatches] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  
+  // Browsing only needs the database, not the recognition worker
+  const [scanner] = useState(() => new DeckScannerService());
+  
+  useEffect(() => {
+    scanner.getCatalogFacets().then(setFacets).catch(err => setError(err.message));
+  }, [scanner]);
+  
+  useEffect(() => {
+    // Drop results of searches the user has typed past
+    let current = true;
+    
+    scanner.searchCatalog({
+      query: filters.query,
+      casino: filters.casino || null,
+      manufacturer: filters.manufacturer || null,
+      minPrice: filters.minPrice === '' ? null : Number(filters.minPrice),
+      maxPrice: filters.maxPrice === '' ? null : Number(filters.maxPrice)
+    })
+      .then(found => {
+        if (current) setMatches(found);
+      })
+      .catch(err => setError(err.message));
+    
+    return () => {
+      current = false;
+    };
+  }, [scanner, filters]);
+  
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+  
+  return (
+    <div className="catalog-view">
+      <header className="catalog-header">
+        <h1>Deck Catalog</h1>
+        <button onClick={() => navigate('/scanner')}>
+          Back to Scanner
+        </button>
+      </header>
+      
+      <main className="catalog-main">
+        <section className="catalog-filters">
+          <input
+            type="search"
+            value={filters.query}
+            onChange={event => updateFilter('query', event.target.value)}
+            placeholder="Search deck names"
+          />
+          <select value={filters.casino} onChange={event => updateFilter('casino', event.target.value)}>
+            <option value="">All casinos</option>
+            {facets.casinos.map(casino => (
+              <option key={casino} value={casino}>{casino}</option>
+            ))}
+          </select>
+          <select
+            value={filters.manufacturer}
+            onChange={event => updateFilter('manufacturer', event.target.value)}
+          >
+            <option value="">All manufacturers</option>
+            {facets.manufacturers.map(manufacturer => (
+              <option key={manufacturer} value={manufacturer}>{manufacturer}</option>
+            ))}
+          </select>
+          <label className="price-filter">
+            Sell price $
+            <input
+              type="number"
+              min="0"
+              value={filters.minPrice}
+              onChange={event => updateFilter('minPrice', event.target.value)}
+              placeholder="min"
+            />
+            to
+            <input
+              type="number"
+              min="0"
+              value={filters.maxPrice}
+              onChange={event => updateFilter('maxPrice', event.target.value)}
+              placeholder="max"
+            />
+          </label>
+          <button onClick={() => setFilters(NO_FILTERS)}>Clear</button>
+        </section>
+        
+        {error && <p className="error">{error}</p>}
+        
+        <section className="catalog-results">
+          <p className="catalog-count">{matches.length} decks</p>
+          <table>
+            <thead>
+              <tr>
+                <th>Deck</th>
+                <th>Casino</th>
+                <th>Manufacturer</th>
+                <th>Buy Price</th>
+                <th>Sell Price</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matches.map(({ deck, pricing }) => (
+                <tr
+                  key={deck.deckId}
+                  className={selected && selected.deck.deckId === deck.deckId ? 'highlighted' : ''}
+                  onClick={() => setSelected({ deck, pricing })}
+                >
+                  <td>{deck.name}</td>
+                  <td>{deck.casino || '-'}</td>
+                  <td>{deck.manufacturer}</td>
+                  <td>{pricing ? `$${pricing.buyPrice.toFixed(2)}` : '-'}</td>
+                  <td>{pricing ? `$${pricing.sellPrice.toFixed(2)}` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+        
+        {selected && (
+          <DeckDetail deck={selected.deck} pricing={selected.pricing} onClose={() => setSelected(null)} />
+        )}
+      </main>
+    </div>
+  );
+};
+
+/**
+ * Show one catalog deck with its reference images and prices
+ */
+const DeckDetail = ({ deck, pricing, onClose }) => {
+  const images = [
+    ...(deck.referenceImages || []),
+    ...(deck.enrollment ? deck.enrollment.samples.map(sample => sample.image) : [])
+  ];
+  
+  return (
+    <section className="deck-detail">
+      <h2>{deck.name}</h2>
+      <p className="deck-maker">
+        {deck.manufacturer}{deck.casino && ` for ${deck.casino}`}
+      </p>
+      {pricing ? (
+        <div className="deck-pricing">
+          <div>Buy: ${pricing.buyPrice.toFixed(2)}</div>
+          <div>Sell: ${pricing.sellPrice.toFixed(2)}</div>
+          <div className="pricing-updated">
+            Updated {new Date(pricing.metadata.lastUpdated).toLocaleDateString()}
+            {pricing.metadata.catalogVersion !== undefined &&
+              ` (catalog version ${pricing.metadata.catalogVersion})`}
+          </div>
+        </div>
+      ) : (
+        <p className="deck-pricing">No price on record</p>
+      )}
+      {deck.barcodes && deck.barcodes.length > 0 && (
+        <p className="deck-barcodes">Codes: {deck.barcodes.join(', ')}</p>
+      )}
+      <div className="reference-images">
+        {images.length > 0 ? images.map((image, index) => (
+          <img key={index} src={image} alt={`${deck.name} reference ${index + 1}`} />
+        )) : <p>No reference images</p>}
+      </div>
+      <button onClick={onClose}>Close</button>
+    </section>
+  );
+};
+
+export default CatalogView;
+
+// ------------------------------------------------------
+// src/components/InventoryView.jsx
+// ------------------------------------------------------
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import DeckScannerService, { INVENTORY_STATUSES, INVENTORY_CONDITIONS } from '../services/DeckScannerService';
+
+/**
+ * Inventory view component - Lists owned decks and edits their quantity,
+ * condition, storage location, cost and status
+ */
+const InventoryView = () => {
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // The inventory only needs the database, not the recognition worker
+  const [scanner] = useState(() => new DeckScannerService());
+  
+  useEffect(() => {
+    scanner.getInventory()
+      .then(setItems)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [scanner]);
+  
+  // Show edits at once; a failed save puts the stored item back
+  const updateItem = async (item, changes) => {
+    setItems(prev => prev.map(i => (i.id === item.id ? { ...i, ...changes } : i)));
+    
+    try {
+      const saved = await scanner.updateInventoryItem(item.id, changes);
+      setItems(prev => prev.map(i => (i.id === item.id ? { ...i, ...saved } : i)));
+      setError(null);
+      return true;
+    } catch (err) {
+      setItems(prev => prev.map(i => (i.id === item.id ? item : i)));
+      setError(err.message);
+      return false;
+    }
+  };
+  
+  const removeItem = async item => {
+    if (!window.confirm(`Remove ${item.deckName} from the inventory?`)) return;
+    
+    try {
+      await scanner.removeInventoryItem(item.id);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const shown = statusFilter ? items.filter(item => item.status === statusFilter) : items;
+  const inStock = items.filter(item => item.status === 'in_stock');
+  
+  return (
+    <div className="inventory-view">
+      <header className="inventory-header">
+        <h1>Inventory</h1>
+        <button onClick={() => navigate('/scanner')}>
+          Back to Scanner
+        </button>
+      </header>
+      
+      <main className="inventory-main">
+        <section className="inventory-stats">
+          <div className="stat-card">
+            <h2>In Stock</h2>
+            <div className="stat-value">{inStock.reduce((sum, item) => sum + item.quantity, 0)}</div>
+          </div>
+          <div className="stat-card">
+            <h2>Cost of Stock</h2>
+            <div className="stat-value">
+              ${inStock.reduce((sum, item) => sum + item.quantity * item.acquisitionCost, 0).toFixed(2)}
+            </div>
+          </div>
+        </section>
+        
+        <div className="inventory-filters">
+          <select value={statusFilter} onChange={event => setStatusFilter(event.target.value)}>
+            <option value="">All statuses</option>
+            {Object.entries(INVENTORY_STATUSES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
             ))}
-          </ul>
+          </select>
         </div>
-      )}
+        
+        {error && <p className="error">{error}</p>}
+        
+        {loading ? (
+          <div className="spinner"></div>
+        ) : shown.length === 0 ? (
+          <p className="inventory-empty">
+            No decks here yet. Finish a scan session and add it to the inventory from its summary.
+          </p>
+        ) : (
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Deck</th>
+                <th>Qty</th>
+                <th>Condition</th>
+                <th>Shelf</th>
+                <th>Bin</th>
+                <th>Box</th>
+                <th>Unit Cost</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(item => (
+                <tr key={item.id}>
+                  <td>
+                    {item.deckName}
+                    {item.casino && <div className="deck-casino">{item.casino}</div>}
+                  </td>
+                  <td>
+                    <DraftInput
+                      type="number"
+                      min="1"
+                      value={item.quantity}
+                      onSave={text => updateItem(item, { quantity: Number(text) })}
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={item.condition}
+                      onChange={event => updateItem(item, { condition: event.target.value })}
+                    >
+                      {Object.entries(INVENTORY_CONDITIONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  {['shelf', 'bin', 'box'].map(part => (
+                    <td key={part}>
+                      <DraftInput
+                        type="text"
+                        value={item.location[part]}
+                        onSave={text => updateItem(item, { location: { ...item.location, [part]: text.trim() } })}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <DraftInput
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={item.acquisitionCost}
+                      onSave={text => updateItem(item, { acquisitionCost: text === '' ? NaN : Number(text) })}
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={item.status}
+                      onChange={event => updateItem(item, { status: event.target.value })}
+                    >
+                      {Object.entries(INVENTORY_STATUSES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <button className="remove-button" onClick={() => removeItem(item)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </main>
     </div>
   );
 };
 
-export default ScannerView;
+/**
+ * Field edited as a local draft and saved when it loses focus rather than
+ * on every keystroke, so it can be cleared and retyped. A rejected save
+ * puts the stored value back
+ */
+const DraftInput = ({ value, onSave, ...inputProps }) => {
+  const stored = value === undefined || value === null ? '' : String(value);
+  const [text, setText] = useState(stored);
+  
+  useEffect(() => {
+    setText(stored);
+  }, [stored]);
+  
+  const save = async () => {
+    if (text.trim() === stored) return;
+    
+    if (!(await onSave(text))) {
+      setText(stored);
+    }
+  };
+  
+  return (
+    <input
+      {...inputProps}
+      value={text}
+      onChange={event => setText(event.target.value)}
+      onBlur={save}
+    />
+  );
+};
+
+export default InventoryView;
 
 // ------------------------------------------------------
 // src/components/SummaryView.jsx
@@ -840,6 +8842,9 @@ export default ScannerView;
 
 import React, { useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import DeckScannerService from '../services/DeckScannerService';
+import { DatabaseService } from '../services/DatabaseService';
+import CorrectionPicker from './CorrectionPicker';
 
 /**
  * Summary component - Displays scan results summary
@@ -849,6 +8854,15 @@ const SummaryView = () => {
   const navigate = useNavigate();
   const { summary } = location.state || { summary: null };
   const [exportFormat, setExportFormat] = useState('csv');
+  const [highlighted, setHighlighted] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [results, setResults] = useState(summary ? summary.results : []);
+  const [correcting, setCorrecting] = useState(null);
+  const [trainingExport, setTrainingExport] = useState(null);
+  const [inventoryStatus, setInventoryStatus] = useState(null);
+  
+  // Exports and corrections only need the database, not the recognition worker
+  const [scanner] = useState(() => new DeckScannerService());
   
   // Handle missing summary
   if (!summary) {
@@ -863,115 +8877,282 @@ const SummaryView = () => {
     );
   }
   
+  // Totals follow corrections made here
+  const stats = scanner.summarizeResults(results);
+  
+  // Show the stored photo of a scan, full resolution if it was kept
+  const showPhoto = async (event, result) => {
+    event.stopPropagation();
+    
+    try {
+      const dbService = new DatabaseService();
+      await dbService.initialize();
+      const frame = await dbService.getScanFrame(result.scanFrameId);
+      setPhoto(frame ? frame.image || frame.thumbnail : result.thumbnail);
+    } catch (error) {
+      console.error('Failed to load scan photo:', error);
+      setPhoto(result.thumbnail);
+    }
+  };
+  
   // Export data
   const handleExport = async () => {
     try {
-      const scanner = new DeckScannerService();
-      await scanner.initialize();
-      
       // Set scan results
-      scanner.scanResults = summary.results;
+      scanner.scanResults = results;
       
       // Export
-      const blob = await scanner.exportResults(exportFormat);
-      
-      // Create download link
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `deck-scan-results.${exportFormat}`;
-      document.body.appendChild(a);
-      a.click();
-      
-      // Cleanup
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
+      downloadBlob(await scanner.exportResults(exportFormat), `deck-scan-results.${exportFormat}`);
     } catch (error) {
       console.error('Export error:', error);
       alert('Failed to export results');
     }
   };
   
+  // Export every corrected scan photo for retraining the model
+  const handleTrainingExport = async () => {
+    try {
+      const { blob, count } = await scanner.exportTrainingData();
+      if (count === 0) {
+        setTrainingExport('No corrected scans to export yet');
+        return;
+      }
+      
+      downloadBlob(blob, 'deck-scanner-training-data.zip');
+      setTrainingExport(`Exported ${count} corrected images`);
+    } catch (error) {
+      console.error('Training data export error:', error);
+      setTrainingExport('Failed to export training data');
+    }
+  };
+  
+  // Add the whole session to the inventory
+  const handleCommitInventory = async () => {
+    try {
+      const items = await scanner.commitToInventory(results);
+      const committed = new Map(items.flatMap(item => item.scanRecordIds.map(id => [id, item.id])));
+      
+      setResults(prev => prev.map(r => (committed.has(r.recordId) ?
+        { ...r, inventoryItemId: committed.get(r.recordId) } : r)));
+      setInventoryStatus(items.length > 0 ?
+        `Added ${items.length} decks to the inventory` :
+        'Nothing new to add to the inventory');
+    } catch (error) {
+      console.error('Inventory commit error:', error);
+      setInventoryStatus(error.message);
+    }
+  };
+  
+  const applyCorrection = corrected => {
+    setResults(prev => prev.map(r => (r.recordId === corrected.recordId ? corrected : r)));
+    setCorrecting(null);
+  };
+  
   return (
     <div className="summary-view">
       <header className="summary-header">
         <h1>Scan Summary</h1>
+        {stats.catalogVersions.length > 0 && (
+          <p className="catalog-version">
+            Priced with catalog version {stats.catalogVersions.join(', ')}
+          </p>
+        )}
       </header>
       
       <main className="summary-main">
         <section className="summary-stats">
           <div className="stat-card total-decks">
             <h2>Total Decks</h2>
-            <div className="stat-value">{summary.totalDecks}</div>
+            <div className="stat-value">{stats.totalDecks}</div>
+            {stats.uniqueDecks !== stats.totalDecks && (
+              <div className="stat-detail">{stats.uniqueDecks} unique</div>
+            )}
           </div>
           
           <div className="stat-card total-value">
             <h2>Total Value</h2>
-            <div className="stat-value">${summary.totalSellValue}</div>
+            <div className="stat-value">${stats.totalSellValue}</div>
           </div>
           
           <div className="stat-card total-profit">
             <h2>Profit Potential</h2>
-            <div className="stat-value">${summary.totalProfit}</div>
+            <div className="stat-value">${stats.totalProfit}</div>
           </div>
           
           <div className="stat-card margin">
             <h2>Avg. Margin</h2>
-            <div className="stat-value">{summary.averageMargin}</div>
+            <div className="stat-value">{stats.averageMargin}</div>
           </div>
         </section>
         
-        {summary.mostProfitable && (
+        {stats.mostProfitable && (
           <section className="most-profitable">
             <h2>Most Profitable Deck</h2>
             <div className="profitable-card">
-              <div className="card-name">{summary.mostProfitable.deckName}</div>
+              <div className="card-name">{stats.mostProfitable.deckName}</div>
               <div className="card-details">
                 <div className="buy-price">
-                  Buy: ${summary.mostProfitable.pricing.buyPrice.toFixed(2)}
+                  Buy: ${stats.mostProfitable.pricing.buyPrice.toFixed(2)}
                 </div>
                 <div className="sell-price">
-                  Sell: ${summary.mostProfitable.pricing.sellPrice.toFixed(2)}
+                  Sell: ${stats.mostProfitable.pricing.sellPrice.toFixed(2)}
                 </div>
                 <div className="profit">
-                  Profit: ${(summary.mostProfitable.pricing.sellPrice - 
-                          summary.mostProfitable.pricing.buyPrice).toFixed(2)}
+                  Profit: ${(stats.mostProfitable.pricing.sellPrice - 
+                          stats.mostProfitable.pricing.buyPrice).toFixed(2)}
                 </div>
               </div>
             </div>
           </section>
         )}
         
+        {summary.frames && summary.frames.length > 0 && (
+          <section className="spread-photos">
+            <h2>Table Spread Photos</h2>
+            {summary.frames.map(frame => (
+              <div key={frame.id} className="spread-photo">
+                <img src={frame.image} alt="Table spread" />
+                {results.map((result, index) => result.frameId === frame.id && (
+                  <div
+                    key={index}
+                    className={`deck-box${index === highlighted ? ' highlighted' : ''}`}
+                    style={{
+                      left: `${result.boundingBox.x * 100}%`,
+                      top: `${result.boundingBox.y * 100}%`,
+                      width: `${result.boundingBox.width * 100}%`,
+                      height: `${result.boundingBox.height * 100}%`
+                    }}
+                    onClick={() => setHighlighted(index)}
+                  >
+                    <span className="deck-box-label">{index + 1}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </section>
+        )}
+        
         <section className="results-list">
           <h2>All Scanned Decks</h2>
           <table className="results-table">
             <thead>
               <tr>
+                <th>#</th>
+                <th>Photo</th>
                 <th>Deck Name</th>
                 <th>Buy Price</th>
                 <th>Sell Price</th>
                 <th>Profit</th>
                 <th>Margin %</th>
+                <th></th>
               </tr>
             </thead>
             <tbody>
-              {summary.results.map((result, index) => (
-                <tr key={index}>
-                  <td>{result.deckName}</td>
+              {results.map((result, index) => (
+                <tr
+                  key={index}
+                  className={index === highlighted ? 'highlighted' : undefined}
+                  onClick={() => setHighlighted(result.frameId ? index : null)}
+                >
+                  <td>{index + 1}</td>
+                  <td className="scan-photo">
+                    {result.thumbnail && (
+                      <img
+                        src={result.thumbnail}
+                        alt={`Scan of ${result.deckName}`}
+                        onClick={event => showPhoto(event, result)}
+                      />
+                    )}
+                  </td>
+                  <td>
+                    {result.deckName}
+                    {result.correction && (
+                      <div className="corrected-from">Corrected from {result.correctedFrom}</div>
+                    )}
+                    {result.sourceFile && <div className="source-file">{result.sourceFile}</div>}
+                    {result.views && (
+                      <div className="capture-views">
+                        {result.views.map(view => (
+                          <img key={view.kind} src={view.image} alt={`${view.kind} view`} title={view.kind} />
+                        ))}
+                      </div>
+                    )}
+                  </td>
                   <td>${result.pricing.buyPrice.toFixed(2)}</td>
                   <td>${result.pricing.sellPrice.toFixed(2)}</td>
                   <td>${(result.pricing.sellPrice - 
                         result.pricing.buyPrice).toFixed(2)}</td>
-                  <td>{((result.pricing.sellPrice - result.pricing.buyPrice) / 
-                       result.pricing.buyPrice * 100).toFixed(1)}%</td>
+                  <td>{result.pricing.buyPrice > 0 ?
+                    `${((result.pricing.sellPrice - result.pricing.buyPrice) /
+                       result.pricing.buyPrice * 100).toFixed(1)}%` : '-'}</td>
+                  <td>
+                    {result.recordId && (
+                      <button
+                        className="correct-button"
+                        onClick={event => {
+                          event.stopPropagation();
+                          setCorrecting(result);
+                        }}
+                        disabled={!!result.inventoryItemId}
+                        title={result.inventoryItemId ? 'Already added to the inventory' : undefined}
+                      >
+                        Correct
+                      </button>
+                    )}
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </section>
         
+        {correcting && (
+          <CorrectionPicker
+            scanner={scanner}
+            result={correcting}
+            onCorrected={applyCorrection}
+            onCancel={() => setCorrecting(null)}
+          />
+        )}
+        
+        {photo && (
+          <div className="photo-viewer" onClick={() => setPhoto(null)}>
+            <img src={photo} alt="Scanned deck" />
+          </div>
+        )}
+        
+        {summary.review && summary.review.length > 0 && (
+          <section className="review-list">
+            <h2>Not Recorded - Needs Review</h2>
+            <p className="review-hint">
+              These sightings scored below the ask threshold. Rescan them if they were real decks.
+            </p>
+            <ul>
+              {summary.review.map(item => (
+                <li key={item.reviewId} className="review-item">
+                  <span className="review-name">
+                    {item.candidates.map(c => c.deckName).join(' / ')}
+                  </span>
+                  {item.sourceFile && <span className="source-file">{item.sourceFile}</span>}
+                  <span className="review-score">{(item.confidence * 100).toFixed(0)}%</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+        
+        <section className="inventory-section">
+          <h2>Inventory</h2>
+          <button
+            onClick={handleCommitInventory}
+            disabled={!results.some(r => r.recordId && !r.inventoryItemId)}
+          >
+            Add Session to Inventory
+          </button>
+          {inventoryStatus && <p className="inventory-status">{inventoryStatus}</p>}
+          <button onClick={() => navigate('/inventory')}>View Inventory</button>
+        </section>
+        
         <section className="export-section">
           <h2>Export Results</h2>
           <div className="export-options">
@@ -984,6 +9165,10 @@ const SummaryView = () => {
             </select>
             <button onClick={handleExport}>Export Data</button>
           </div>
+          <div className="training-export">
+            <button onClick={handleTrainingExport}>Export Training Data</button>
+            {trainingExport && <p className="export-status">{trainingExport}</p>}
+          </div>
         </section>
       </main>
       
@@ -996,13 +9181,493 @@ const SummaryView = () => {
   );
 };
 
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob File contents
+ * @param {string} fileName Suggested file name
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  
+  // Cleanup
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+};
+
 export default SummaryView;
 
+// ------------------------------------------------------
+// tools/evaluate.js
+// ------------------------------------------------------
+
+/**
+ * Recognition accuracy evaluation - runs DeckScannerService.processImage in
+ * Node over a folder of labeled images and writes JSON and HTML reports.
+ *
+ *   npm run evaluate -- --images <dir> [--out <dir>] [--public <dir>] [--baseline <report.json>]
+ *
+ * Images are laid out folder-per-class: <images>/<deckId>/<photo>.jpg. The
+ * model, labels and catalog are read from --public (default: public), so a
+ * candidate model is evaluated by pointing --public at a directory holding it.
+ * --baseline adds the differences from an earlier report to the HTML.
+ *
+ * Platt scaling parameters fitted to the results are written to
+ * calibration.json: copy it to public/models/ for the bundled model, or into
+ * the version's "calibration" in the model manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { createCanvas, loadImage, ImageData } = require('canvas');
+
+require('@tensorflow/tfjs-node');
+require('fake-indexeddb/auto');
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  plugins: ['babel-plugin-transform-import-meta'],
+  only: [path.resolve(__dirname, '../src')]
+});
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+const TOP_K = 5;
+const CALIBRATION_BINS = 10;
+
+/**
+ * PipelineClient - Hosts the RecognitionPipeline in-process with the
+ * RecognitionWorkerClient interface, since Node has no Web Workers
+ */
+class PipelineClient {
+  constructor() {
+    const { RecognitionPipeline } = require('../src/services/RecognitionPipeline');
+    this.pipeline = new RecognitionPipeline();
+  }
+  
+  /**
+   * Load the pipeline
+   * @param {Object} config RecognitionPipeline configuration
+   * @returns {Promise<{labels: Array<Object>, diagnostics: Object}>} Labels and diagnostics
+   */
+  async initialize(config) {
+    return this.pipeline.initialize(config);
+  }
+  
+  /**
+   * Recognize a frame
+   * @param {ImageData} frame Decoded image
+   * @param {Object} options Recognition options
+   * @returns {Promise<Object>} Pipeline result
+   */
+  async recognize(frame, options) {
+    return this.pipeline.recognize(frame, options);
+  }
+  
+  /**
+   * Compute a deck embedding
+   * @param {ImageData} frame Decoded image
+   * @param {Object} [options] Embedding options
+   * @returns {Promise<{embedding: Float32Array, image: string}>} Embedding and crop
+   */
+  async embed(frame, options) {
+    return this.pipeline.embed(frame, options);
+  }
+  
+  /**
+   * Send the catalog barcodes
+   * @param {Array<string>} codes Normalized barcode values
+   */
+  async setKnownBarcodes(codes) {
+    return this.pipeline.setKnownBarcodes(codes);
+  }
+  
+  /**
+   * Get backend diagnostics
+   * @returns {Promise<Object>} Diagnostics
+   */
+  async getDiagnostics() {
+    return this.pipeline.getDiagnostics();
+  }
+  
+  /**
+   * Images are evaluated one at a time, so the pipeline is never busy
+   * @returns {boolean} False
+   */
+  isBusy() {
+    return false;
+  }
+  
+  /**
+   * Release the pipeline
+   */
+  async terminate() {
+    return this.pipeline.dispose();
+  }
+}
+
+/**
+ * Run the evaluation
+ * @param {Array<string>} argv Command-line arguments
+ */
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.images) {
+    console.error('Usage: npm run evaluate -- --images <dir> [--out <dir>] [--public <dir>] [--baseline <report.json>]');
+    process.exit(1);
+  }
+  
+  installBrowserGlobals(path.resolve(args.public || 'public'));
+  
+  const DeckScannerService = require('../src/services/DeckScannerService').default;
+  const scanner = new DeckScannerService({ topK: TOP_K, backends: ['tensorflow', 'cpu'], recognitionClient: new PipelineClient() });
+  // OCR-only results would say nothing about the model
+  if (!await scanner.initialize() || scanner.getHealth().mode !== 'full') {
+    console.error('Scanner failed to initialize:', JSON.stringify(scanner.getHealth().components));
+    process.exit(1);
+  }
+  
+  const samples = listSamples(path.resolve(args.images));
+  console.log(`Evaluating ${samples.length} images with model ${scanner.modelVersion}`);
+  
+  const outcomes = [];
+  for (const sample of samples) {
+    outcomes.push(await evaluateSample(scanner, sample));
+    console.log(`${outcomes.length}/${samples.length} ${sample.file}`);
+  }
+  
+  const report = {
+    createdAt: new Date().toISOString(),
+    modelVersion: scanner.modelVersion,
+    backend: (await scanner.getDiagnostics()).backend,
+    thresholds: scanner.getThresholds(),
+    ...await summarize(scanner.dbService, outcomes),
+    fittedCalibration: fitCalibration(outcomes, scanner.scoringPolicy.getCalibration())
+  };
+  const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+  
+  const outDir = path.resolve(args.out || 'evaluation');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'evaluation.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outDir, 'evaluation.html'), renderHtml(report, baseline));
+  if (report.fittedCalibration) {
+    fs.writeFileSync(path.join(outDir, 'calibration.json'), JSON.stringify(report.fittedCalibration, null, 2));
+  }
+  
+  console.log(`Top-1 ${formatPercent(report.top1)}, top-5 ${formatPercent(report.top5)}, ` +
+    `ECE ${report.calibration.expectedError.toFixed(3)}; report in ${outDir}`);
+  
+  await scanner.dispose();
+}
+
+// ---------- Private helpers ----------
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * Provide the browser APIs the scanner services use: canvases and pixels
+ * from node-canvas, IndexedDB from fake-indexeddb, and a fetch, document
+ * base URL and localStorage that resolve the app's relative paths against
+ * the public directory
+ */
+function installBrowserGlobals(publicDir) {
+  const baseURI = pathToFileURL(publicDir + path.sep).href;
+  const storage = new Map();
+  const nativeFetch = global.fetch;
+  
+  global.ImageData = ImageData;
+  global.document = { baseURI, hidden: false, createElement: () => createCanvas(1, 1) };
+  global.createImageBitmap = async image => image;
+  global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+  };
+  global.fetch = async (url, options) => {
+    const resolved = new URL(url, baseURI);
+    if (resolved.protocol !== 'file:') {
+      return nativeFetch(resolved.href, options);
+    }
+    
+    const file = fileURLToPath(resolved);
+    if (!fs.existsSync(file)) {
+      return { ok: false, status: 404 };
+    }
+    
+    const body = fs.readFileSync(file);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => JSON.parse(body.toString('utf8')),
+      text: async () => body.toString('utf8'),
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+    };
+  };
+}
+
+function listSamples(imagesDir) {
+  return fs.readdirSync(imagesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => fs.readdirSync(path.join(imagesDir, entry.name))
+      .filter(file => IMAGE_EXTENSIONS.has(path.extname(file).toLowerCase()))
+      .map(file => ({
+        deckId: entry.name,
+        file: path.join(entry.name, file),
+        fullPath: path.join(imagesDir, entry.name, file)
+      })));
+}
+
+async function evaluateSample(scanner, sample) {
+  try {
+    const image = await loadImage(sample.fullPath);
+    const ctx = createCanvas(image.width, image.height).getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    
+    const result = await scanner.processImage(ctx.getImageData(0, 0, image.width, image.height));
+    const candidates = result.candidates || [];
+    const rank = candidates.findIndex(c => c.deckId === sample.deckId);
+    
+    return {
+      file: sample.file,
+      expected: sample.deckId,
+      predicted: result.deckId,
+      confidence: result.confidence,
+      decision: result.decision,
+      ambiguous: !!result.ambiguous,
+      barcode: result.barcode ? result.barcode.value : null,
+      rank: rank === -1 ? null : rank + 1,
+      candidates: candidates.map(c => ({ deckId: c.deckId, confidence: c.confidence })),
+      textVerification: result.textVerification || null,
+      quality: result.quality ? result.quality.score : null,
+      error: null
+    };
+  } catch (error) {
+    return {
+      file: sample.file,
+      expected: sample.deckId,
+      predicted: null,
+      confidence: 0,
+      decision: null,
+      rank: null,
+      candidates: [],
+      error: error.message
+    };
+  }
+}
+
+async function summarize(dbService, outcomes) {
+  const total = outcomes.length || 1;
+  const decks = new Map();
+  const lookup = async deckId => {
+    if (!decks.has(deckId)) {
+      decks.set(deckId, deckId ? await dbService.getDeck(deckId) : null);
+    }
+    return decks.get(deckId) || {};
+  };
+  
+  const byCasino = {};
+  const byManufacturer = {};
+  const decisions = {};
+  for (const outcome of outcomes) {
+    const expected = await lookup(outcome.expected);
+    const predicted = await lookup(outcome.predicted);
+    
+    addToMatrix(byCasino, expected.casino || '(none)', outcome.predicted ? predicted.casino || '(none)' : '(error)');
+    addToMatrix(byManufacturer, expected.manufacturer || '(unknown)',
+      outcome.predicted ? predicted.manufacturer || '(unknown)' : '(error)');
+    decisions[outcome.decision || 'error'] = (decisions[outcome.decision || 'error'] || 0) + 1;
+  }
+  
+  return {
+    images: outcomes.length,
+    top1: outcomes.filter(o => o.rank === 1).length / total,
+    top5: outcomes.filter(o => o.rank !== null && o.rank <= TOP_K).length / total,
+    decisions: decisions,
+    confusion: { casino: byCasino, manufacturer: byManufacturer },
+    calibration: calibrate(outcomes),
+    failures: outcomes.filter(o => o.rank !== 1)
+  };
+}
+
+function addToMatrix(matrix, expected, predicted) {
+  matrix[expected] = matrix[expected] || {};
+  matrix[expected][predicted] = (matrix[expected][predicted] || 0) + 1;
+}
+
+/**
+ * Reliability of the top-1 confidence: per confidence bin, how often the
+ * prediction was right, and the expected calibration error over all bins
+ */
+function calibrate(outcomes) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i / CALIBRATION_BINS,
+    to: (i + 1) / CALIBRATION_BINS,
+    count: 0,
+    confidence: 0,
+    accuracy: 0
+  }));
+  
+  for (const outcome of outcomes.filter(o => !o.error)) {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(outcome.confidence * CALIBRATION_BINS))];
+    bin.count++;
+    bin.confidence += outcome.confidence;
+    bin.accuracy += outcome.rank === 1 ? 1 : 0;
+  }
+  
+  const counted = bins.reduce((sum, bin) => sum + bin.count, 0) || 1;
+  let expectedError = 0;
+  for (const bin of bins.filter(b => b.count)) {
+    bin.confidence /= bin.count;
+    bin.accuracy /= bin.count;
+    expectedError += bin.count / counted * Math.abs(bin.accuracy - bin.confidence);
+  }
+  
+  return { bins, expectedError };
+}
+
+/**
+ * Fit Platt scaling parameters mapping the raw score to the chance that the
+ * top-1 prediction is right. Scores already went through the calibration in
+ * use, whose logit is linear in the raw score, so the fit composes with it.
+ * Null when the results are all right or all wrong
+ */
+function fitCalibration(outcomes, current) {
+  const points = outcomes.filter(o => !o.error).map(o => {
+    const p = Math.min(1 - 1e-6, Math.max(1e-6, o.confidence));
+    return { x: current ? Math.log(p / (1 - p)) : o.confidence, correct: o.rank === 1 };
+  });
+  const positives = points.filter(point => point.correct).length;
+  const negatives = points.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+  
+  // Platt's smoothed targets keep the fit finite on separable data
+  const hit = (positives + 1) / (positives + 2);
+  const miss = 1 / (negatives + 2);
+  
+  // Newton's method on the logistic log-likelihood
+  let slope = 1;
+  let intercept = 0;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    // Gradient and Hessian; the tiny diagonal keeps the Hessian invertible
+    const gradient = [0, 0];
+    const hessian = [1e-9, 0, 1e-9];
+    for (const { x, correct } of points) {
+      const p = 1 / (1 + Math.exp(-(slope * x + intercept)));
+      const error = p - (correct ? hit : miss);
+      const weight = p * (1 - p);
+      gradient[0] += error * x;
+      gradient[1] += error;
+      hessian[0] += weight * x * x;
+      hessian[1] += weight * x;
+      hessian[2] += weight;
+    }
+    
+    const det = hessian[0] * hessian[2] - hessian[1] * hessian[1];
+    const da = (hessian[2] * gradient[0] - hessian[1] * gradient[1]) / det;
+    const db = (hessian[0] * gradient[1] - hessian[1] * gradient[0]) / det;
+    slope -= da;
+    intercept -= db;
+    if (Math.abs(da) < 1e-9 && Math.abs(db) < 1e-9) break;
+  }
+  
+  if (!current) return { slope, intercept };
+  return { slope: slope * current.slope, intercept: slope * current.intercept + intercept };
+}
+
+function renderHtml(report, baseline) {
+  const delta = (key, value) => {
+    if (!baseline) return '';
+    const diff = value - baseline[key];
+    return ` <span class="${diff >= 0 ? 'up' : 'down'}">(${diff >= 0 ? '+' : ''}${(diff * 100).toFixed(1)} pts)</span>`;
+  };
+  
+  const matrix = (title, data) => {
+    const predicted = Array.from(new Set(Object.values(data).flatMap(Object.keys))).sort();
+    return `<h2>${escapeHtml(title)}</h2><table><tr><th>Expected \\ Predicted</th>` +
+      predicted.map(p => `<th>${escapeHtml(p)}</th>`).join('') + '</tr>' +
+      Object.keys(data).sort().map(expected => `<tr><th>${escapeHtml(expected)}</th>` +
+        predicted.map(p => `<td class="${p === expected ? 'hit' : ''}">${data[expected][p] || ''}</td>`).join('') +
+        '</tr>').join('') + '</table>';
+  };
+  
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Deck Scanner Evaluation</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+td.hit { background: #e6f4ea; }
+.up { color: #1e8e3e; } .down { color: #d93025; }
+</style></head><body>
+<h1>Deck Scanner Evaluation</h1>
+<p>Model ${escapeHtml(report.modelVersion)} on ${escapeHtml(report.backend)}, ${report.images} images, ${escapeHtml(report.createdAt)}` +
+(baseline ? `<br>Compared with model ${escapeHtml(baseline.modelVersion)}, ${escapeHtml(baseline.createdAt)}` : '') + `</p>
+<table>
+<tr><th>Top-1 accuracy</th><td>${formatPercent(report.top1)}${delta('top1', report.top1)}</td></tr>
+<tr><th>Top-5 accuracy</th><td>${formatPercent(report.top5)}${delta('top5', report.top5)}</td></tr>
+<tr><th>Expected calibration error</th><td>${report.calibration.expectedError.toFixed(3)}` +
+(baseline ? ` (was ${baseline.calibration.expectedError.toFixed(3)})` : '') + `</td></tr>
+` + Object.entries(report.decisions).map(([decision, count]) =>
+  `<tr><th>Decision: ${escapeHtml(decision)}</th><td>${count}</td></tr>`).join('\n') + `
+</table>
+<h2>Calibration</h2>
+<table><tr><th>Confidence</th><th>Images</th><th>Mean confidence</th><th>Accuracy</th></tr>
+` + report.calibration.bins.map(bin => `<tr><td>${bin.from.toFixed(1)}&ndash;${bin.to.toFixed(1)}</td>` +
+  `<td>${bin.count}</td><td>${bin.count ? bin.confidence.toFixed(3) : ''}</td>` +
+  `<td>${bin.count ? formatPercent(bin.accuracy) : ''}</td></tr>`).join('\n') + `
+</table>
+${matrix('Confusion by casino', report.confusion.casino)}
+${matrix('Confusion by manufacturer', report.confusion.manufacturer)}
+<h2>Failures (${report.failures.length})</h2>
+<table><tr><th>Image</th><th>Expected</th><th>Predicted</th><th>Confidence</th><th>Decision</th><th>Rank of expected</th><th>Error</th></tr>
+` + report.failures.map(f => `<tr><td>${escapeHtml(f.file)}</td><td>${escapeHtml(f.expected)}</td>` +
+  `<td>${escapeHtml(f.predicted || '')}</td><td>${(f.confidence || 0).toFixed(3)}</td>` +
+  `<td>${escapeHtml(f.decision || '')}</td><td>${f.rank || '&ndash;'}</td><td>${escapeHtml(f.error || '')}</td></tr>`).join('\n') + `
+</table>
+</body></html>
+`;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error('Evaluation failed:', error);
+  process.exit(1);
+});
+
 // ------------------------------------------------------
 // public/service-worker.js
 // ------------------------------------------------------
 
 const CACHE_NAME = 'deck-scanner-cache-v1';
+
+// OCR language packs, downloaded on demand; kept across app updates
+const TESSDATA_CACHE = 'deck-scanner-tessdata';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -1032,7 +9697,7 @@ self.addEventListener('activate', event => {
     caches.keys()
       .then(cacheNames => {
         return Promise.all(
-          cacheNames.filter(cacheName => cacheName !== CACHE_NAME)
+          cacheNames.filter(cacheName => cacheName !== CACHE_NAME && cacheName !== TESSDATA_CACHE)
             .map(cacheName => caches.delete(cacheName))
         );
       })
@@ -1047,6 +9712,36 @@ self.addEventListener('fetch', event => {
     return;
   }
   
+  const { pathname } = new URL(event.request.url);
+  
+  // Update manifests must never be stale, or updates are never seen
+  if (pathname === '/models/manifest.json' || pathname === '/data/catalog/manifest.json') {
+    event.respondWith(
+      fetch(event.request).catch(() => caches.match(event.request))
+    );
+    return;
+  }
+  
+  // Versioned models are stored in IndexedDB by the app; don't cache twice
+  if (/^\/models\/[^/]+\//.test(pathname)) {
+    return;
+  }
+  
+  // Language packs go to their own cache the first time OCR loads them
+  if (pathname.startsWith('/tessdata/')) {
+    event.respondWith(
+      caches.open(TESSDATA_CACHE).then(cache =>
+        cache.match(event.request).then(cached => cached || fetch(event.request).then(response => {
+          if (response.ok) {
+            cache.put(event.request, response.clone());
+          }
+          return response;
+        }))
+      )
+    );
+    return;
+  }
+  
   event.respondWith(
     caches.match(event.request)
       .then(response => {
@@ -1084,14 +9779,21 @@ self.addEventListener('sync', event => {
 
 // Background sync implementation
 const syncData = async () => {
+  let db = null;
+  
   try {
-    // Open database
-    const db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open('deck_scanner_db', 1);
+    // Open database at whatever version the app created; an upgrade means
+    // it doesn't exist yet, and creating it here would skip the app's setup
+    db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open('deck_scanner_db');
       request.onerror = reject;
+      request.onupgradeneeded = () => request.transaction.abort();
       request.onsuccess = event => resolve(event.target.result);
     });
     
+    // Never hold up the app upgrading the schema
+    db.onversionchange = () => db.close();
+    
     // Get pending sync tasks
     const tx = db.transaction('sync_queue', 'readonly');
     const store = tx.objectStore('sync_queue');
@@ -1120,9 +9822,20 @@ const syncData = async () => {
   } catch (error) {
     console.error('Sync failed:', error);
     return false;
+  } finally {
+    if (db) db.close();
   }
 };
 
+// ------------------------------------------------------
+// public/models/manifest.json
+// ------------------------------------------------------
+
+{
+  "latest": null,
+  "versions": []
+}
+
 // ------------------------------------------------------
 // public/manifest.json
 // ------------------------------------------------------